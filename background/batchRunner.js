@@ -0,0 +1,150 @@
+import { WorkLogService } from '../shared/workLogService.js';
+
+export const BATCH_PORT_NAME = 'batch-progress';
+const KEEP_ALIVE_INTERVAL_MS = 20000;
+
+export class BatchRunner {
+    constructor() {
+        this.ports = new Set();
+        this.service = null;
+        this.keepAliveTimer = null;
+        this.status = { running: false };
+    }
+
+    addPort(port) {
+        this.ports.add(port);
+        port.onDisconnect.addListener(() => this.ports.delete(port));
+        port.postMessage({ type: 'BATCH_STATUS', status: this.getStatus() });
+    }
+
+    broadcast(message) {
+        this.ports.forEach(port => {
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                this.ports.delete(port);
+            }
+        });
+    }
+
+    getStatus() {
+        return { ...this.status };
+    }
+
+    start(message) {
+        if (this.status.running) {
+            return { success: false, error: `A batch is already running (${this.status.fileName})` };
+        }
+
+        this.service = new WorkLogService();
+        this.service.setRequestHooks({
+            onRequestStart: (activeRequests, retryInfo = {}) => {
+                if (!retryInfo.retrying) return;
+                this.broadcast({ type: 'BATCH_PROGRESS', retry: { attempt: retryInfo.attempt, maxAttempts: retryInfo.maxAttempts } });
+            }
+        });
+
+        this.status = {
+            running: true,
+            resume: !!message.resume,
+            fileName: message.resume ? 'interrupted batch' : message.batch?.fileName,
+            current: 0,
+            total: message.resume ? 0 : message.batch?.entries?.length || 0,
+            message: 'Starting batch...',
+            startedAt: new Date().toISOString()
+        };
+
+        this.startKeepAlive();
+        this.run(message);
+
+        return { success: true };
+    }
+
+    async run(message) {
+        const onProgress = progress => this.reportProgress(progress);
+
+        try {
+            const result = message.resume ? await this.service.resumeBatch(onProgress) : await this.service.startBatch(message.batch, onProgress);
+            this.finish({ result });
+        } catch (error) {
+            console.error('Batch processing failed:', error);
+            this.finish({ error: error.message });
+        }
+    }
+
+    reportProgress(progress) {
+        this.status = {
+            ...this.status,
+            fileName: this.service.fileName,
+            current: progress.current,
+            total: progress.total,
+            message: progress.message
+        };
+
+        this.broadcast({
+            type: 'BATCH_PROGRESS',
+            progress: { current: progress.current, total: progress.total, message: progress.message, paused: !!this.status.paused, cancelling: !!this.status.cancelling }
+        });
+    }
+
+    cancel() {
+        if (!this.status.running) {
+            return { success: false, error: 'No batch is running' };
+        }
+
+        this.service.cancelBatch();
+        this.updateState({ cancelling: true, paused: false, message: 'Cancelling batch...' });
+
+        return { success: true };
+    }
+
+    pause() {
+        if (!this.status.running || this.status.cancelling) {
+            return { success: false, error: 'No batch is running' };
+        }
+
+        this.service.pauseBatch();
+        this.updateState({ paused: true, message: `Paused - entry ${this.status.current}/${this.status.total} is allowed to finish` });
+
+        return { success: true };
+    }
+
+    resume() {
+        if (!this.status.running || !this.status.paused) {
+            return { success: false, error: 'The batch is not paused' };
+        }
+
+        this.service.continueBatch();
+        this.updateState({ paused: false, message: 'Resuming batch...' });
+
+        return { success: true };
+    }
+
+    updateState(changes) {
+        this.status = { ...this.status, ...changes };
+        this.broadcast({
+            type: 'BATCH_PROGRESS',
+            progress: { current: this.status.current, total: this.status.total, message: this.status.message, paused: !!this.status.paused, cancelling: !!this.status.cancelling }
+        });
+    }
+
+    finish(outcome) {
+        this.stopKeepAlive();
+        this.status = { running: false, finishedAt: new Date().toISOString() };
+        this.service = null;
+        this.broadcast({ type: 'BATCH_RESULT', ...outcome });
+    }
+
+    // Retry back-off can leave the worker without events for longer than Chrome's idle timeout
+    startKeepAlive() {
+        this.stopKeepAlive();
+        this.keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), KEEP_ALIVE_INTERVAL_MS);
+    }
+
+    stopKeepAlive() {
+        if (this.keepAliveTimer) {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+}
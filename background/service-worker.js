@@ -1,4 +1,8 @@
 // Background service worker for OpenProject Time Logger
+import { BatchRunner, BATCH_PORT_NAME } from './batchRunner.js';
+
+const batchRunner = new BatchRunner();
+
 chrome.runtime.onInstalled.addListener(details => {
     console.log('OpenProject Time Logger extension installed/updated', details);
 
@@ -82,6 +86,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.log('Background received message:', message);
 
     switch (message.type) {
+        case 'START_BATCH':
+            sendResponse(batchRunner.start(message));
+            return;
+        case 'CANCEL_BATCH':
+            sendResponse(batchRunner.cancel());
+            return;
+        case 'PAUSE_BATCH':
+            sendResponse(batchRunner.pause());
+            return;
+        case 'RESUME_BATCH':
+            sendResponse(batchRunner.resume());
+            return;
+        case 'GET_BATCH_STATUS':
+            sendResponse({ success: true, status: batchRunner.getStatus() });
+            return;
         case 'GET_CONFIG':
             // Could be used for config synchronization if needed
             break;
@@ -95,5 +114,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
 });
 
+// Extension pages subscribe to BATCH_PROGRESS / BATCH_RESULT through a long-lived port
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name === BATCH_PORT_NAME) {
+        batchRunner.addPort(port);
+    }
+});
+
 // Initialize on script load (in case the service worker was already running)
 generateAndSetIcons();
@@ -1,6 +1,25 @@
-import { loadConfig, saveConfig, updateProjectMappings } from '../shared/config.js';
+import {
+    loadConfig,
+    saveConfig,
+    updateProjectMappings,
+    normalizeBaseUrl,
+    getHostPermissionPattern,
+    listProfiles,
+    setActiveProfile,
+    createProfile,
+    deleteProfile,
+    DATE_ORDERS,
+    DEFAULT_DATE_ORDER,
+    DEFAULT_TIMEZONE,
+    DURATION_ROUNDINGS,
+    DEFAULT_DURATION_ROUNDING
+} from '../shared/config.js';
 import { OpenProjectTimeLogger } from '../shared/apiClient.js';
 import { WorkLogService } from '../shared/workLogService.js';
+import { SUPPORTED_FILE_EXTENSIONS, getWorkLogFileFormat } from '../shared/parser.js';
+import { CSV_FIELDS } from '../shared/csvImporter.js';
+import { listTimeZones, getBrowserTimeZone, formatZonedDate, formatZonedTime } from '../shared/timeZone.js';
+import { formatHours } from '../shared/duration.js';
 class IntegratedOptionsController {
     constructor() {
         this.config = null;
@@ -9,17 +28,36 @@ class IntegratedOptionsController {
         this.currentStep = 1;
         this.completedSteps = [];
         this.isAnalyzing = false;
+        this.ledgerCheck = null;
+        this.batchPort = null;
+        this.isProcessing = false;
+        this.batchControlState = { running: false, paused: false, cancelling: false };
+        this.importMappingResolver = null;
+        this.importMappingCollector = null;
         this.hasActiveErrorToast = false;
         this.initElements();
         this.initEventListeners();
         this.initCustomDropzone();
+        this.loadProfiles();
         this.loadConfiguration();
+        this.connectBatchPort();
+        this.checkForInterruptedBatch();
     }
 
     initElements() {
         this.toasterContainer = document.getElementById('toasterContainer');
         this.form = document.getElementById('configForm');
+        this.profileSwitcher = document.getElementById('profileSwitcher');
+        this.newProfileBtn = document.getElementById('newProfileBtn');
+        this.deleteProfileBtn = document.getElementById('deleteProfileBtn');
+        this.serverUrl = document.getElementById('serverUrl');
         this.accessToken = document.getElementById('accessToken');
+        this.maxRetries = document.getElementById('maxRetries');
+        this.retryBaseDelay = document.getElementById('retryBaseDelay');
+        this.dateOrder = document.getElementById('dateOrder');
+        this.timeZone = document.getElementById('timeZone');
+        this.timeZoneHelp = document.getElementById('time-zone-help');
+        this.durationRounding = document.getElementById('durationRounding');
         this.saveTestBtn = document.getElementById('saveTestBtn');
         this.saveStatus = document.getElementById('saveStatus');
         this.steps = document.querySelectorAll('.step');
@@ -28,9 +66,11 @@ class IntegratedOptionsController {
         this.nextStep2 = document.getElementById('nextStep2');
         this.prevStep2 = document.getElementById('prevStep2');
         this.processAnotherBtn = document.getElementById('processAnotherBtn');
+        this.undoBatchBtn = document.getElementById('undoBatchBtn');
         this.logFile = document.getElementById('logFile');
         this.customDropzone = document.getElementById('customDropzone');
         this.fileName = document.getElementById('fileName');
+        this.resumeBatchBanner = document.getElementById('resumeBatchBanner');
         this.downloadSampleBtn = document.getElementById('downloadSampleBtn');
         this.configSection = document.getElementById('configSection');
         this.uploadSection = document.getElementById('uploadSection');
@@ -46,6 +86,9 @@ class IntegratedOptionsController {
         this.progressText = document.getElementById('progressText');
         this.progressFill = document.getElementById('progressFill');
         this.progressDetails = document.getElementById('progressDetails');
+        this.cancelBatchBtn = document.getElementById('cancelBatchBtn');
+        this.pauseBatchBtn = document.getElementById('pauseBatchBtn');
+        this.resumePausedBatchBtn = document.getElementById('resumePausedBatchBtn');
         this.processingLog = document.getElementById('processingLog');
         this.resultsSummary = document.getElementById('resultsSummary');
         this.closeBtn = document.getElementById('closeBtn');
@@ -64,15 +107,41 @@ class IntegratedOptionsController {
         this.projectsTableBody = document.getElementById('projectsTableBody');
         this.projectsLoading = document.getElementById('projectsLoading');
         this.projectsError = document.getElementById('projectsError');
+        this.importMappingModal = document.getElementById('importMappingModal');
+        this.importMappingModalClose = document.getElementById('importMappingModalClose');
+        this.importMappingTitle = document.getElementById('importMappingModalTitle');
+        this.importMappingIntro = document.getElementById('importMappingIntro');
+        this.importMappingFields = document.getElementById('importMappingFields');
+        this.importMappingPreview = document.getElementById('importMappingPreview');
+        this.importMappingConfirm = document.getElementById('importMappingConfirm');
+        this.importMappingCancel = document.getElementById('importMappingCancel');
+        this.showHistoryBtn = document.getElementById('showHistoryBtn');
+        this.showActivityRulesBtn = document.getElementById('showActivityRulesBtn');
+        this.showProjectAliasesBtn = document.getElementById('showProjectAliasesBtn');
+        this.historyModal = document.getElementById('historyModal');
+        this.historyModalClose = document.getElementById('historyModalClose');
+        this.historyFilters = document.getElementById('historyFilters');
+        this.historyFrom = document.getElementById('historyFrom');
+        this.historyTo = document.getElementById('historyTo');
+        this.historyProject = document.getElementById('historyProject');
+        this.historyStatus = document.getElementById('historyStatus');
+        this.historyContent = document.getElementById('historyContent');
     }
 
     initEventListeners() {
         this.form.addEventListener('submit', e => this.handleSaveAndTest(e));
+        this.profileSwitcher?.addEventListener('change', e => this.handleProfileSwitch(e.target.value));
+        this.newProfileBtn?.addEventListener('click', () => this.handleCreateProfile());
+        this.deleteProfileBtn?.addEventListener('click', () => this.handleDeleteProfile());
         this.prevStep1?.addEventListener('click', () => this.goToStep(1));
         this.nextStep2?.addEventListener('click', () => this.goToStep(3));
         this.prevStep2?.addEventListener('click', () => this.goToStep(2));
         this.processAnotherBtn?.addEventListener('click', () => this.resetToStep(2));
+        this.undoBatchBtn?.addEventListener('click', () => this.handleUndoBatch());
         this.closeBtn?.addEventListener('click', () => this.closeCurrentTab());
+        this.cancelBatchBtn?.addEventListener('click', () => this.handleCancelBatch());
+        this.pauseBatchBtn?.addEventListener('click', () => this.sendBatchControl('PAUSE_BATCH'));
+        this.resumePausedBatchBtn?.addEventListener('click', () => this.sendBatchControl('RESUME_BATCH'));
         this.reconfigureApiBtn?.addEventListener('click', () => this.handleReconfigureApi());
         this.showProjectsBtn?.addEventListener('click', () => this.showProjectsModal());
         if (this.downloadSampleBtn) {
@@ -94,6 +163,47 @@ class IntegratedOptionsController {
                 this.hideProjectsModal();
             }
         });
+        this.importMappingConfirm?.addEventListener('click', () => this.handleImportMappingConfirm());
+        this.importMappingCancel?.addEventListener('click', () => this.closeImportMappingModal(null));
+        this.importMappingModalClose?.addEventListener('click', () => this.closeImportMappingModal(null));
+        this.importMappingModal?.addEventListener('click', e => {
+            if (e.target === this.importMappingModal) {
+                this.closeImportMappingModal(null);
+            }
+        });
+        this.importMappingFields?.addEventListener('input', e => this.importMappingChange?.(e));
+        this.importMappingFields?.addEventListener('click', e => {
+            if (e.target.closest('[data-action]')) {
+                this.importMappingChange?.(e);
+            }
+        });
+        this.analysisDetails?.addEventListener('click', e => {
+            if (e.target.closest('#reparseSkippedBtn')) {
+                this.handleReparseSkipped();
+            }
+            const projectFix = e.target.closest('.project-fix');
+            if (projectFix) {
+                this.handleProjectFix(projectFix);
+            }
+            if (e.target.closest('#downloadCorrectedBtn')) {
+                this.downloadCorrectedWorkLog();
+            }
+        });
+        this.analysisDetails?.addEventListener('change', e => {
+            if (e.target.matches('.activity-fix')) {
+                this.handleActivityFix(e.target);
+            }
+        });
+        this.showHistoryBtn?.addEventListener('click', () => this.showHistoryModal());
+        this.showActivityRulesBtn?.addEventListener('click', () => this.showActivityRulesModal());
+        this.showProjectAliasesBtn?.addEventListener('click', () => this.showProjectAliasesModal());
+        this.historyModalClose?.addEventListener('click', () => this.hideHistoryModal());
+        this.historyModal?.addEventListener('click', e => {
+            if (e.target === this.historyModal) {
+                this.hideHistoryModal();
+            }
+        });
+        this.historyFilters?.addEventListener('change', () => this.renderHistoryList());
     }
 
     initCustomDropzone() {
@@ -116,8 +226,8 @@ class IntegratedOptionsController {
             const files = e.dataTransfer.files;
             if (files.length > 0) {
                 const file = files[0];
-                if (!file.name.toLowerCase().endsWith('.json')) {
-                    this.showToaster('Please select a JSON file', 'error');
+                if (!getWorkLogFileFormat(file.name)) {
+                    this.showToaster(`Please select a ${SUPPORTED_FILE_EXTENSIONS.join(', ')} file`, 'error');
                     return;
                 }
                 const event = new Event('change');
@@ -226,6 +336,9 @@ class IntegratedOptionsController {
         this.isAnalyzing = false;
         if (this.workLogService) {
             this.workLogService.workLogEntries = [];
+            this.workLogService.validationErrors = [];
+            this.workLogService.skipped = [];
+            this.workLogService.parsedSource = null;
             this.workLogService.analysisData = null;
         }
         if (this.logFile) this.logFile.value = '';
@@ -251,6 +364,7 @@ class IntegratedOptionsController {
             this.successSection.style.display = 'none';
         }
         if (this.successStats) this.successStats.innerHTML = '';
+        if (this.resultsSummary) this.resultsSummary.innerHTML = '';
     }
 
     showToaster(message, type = 'success', duration = 5000, persistent = false) {
@@ -325,13 +439,88 @@ class IntegratedOptionsController {
         }
     }
 
+    async loadProfiles() {
+        if (!this.profileSwitcher) return;
+
+        try {
+            const { activeProfile, profiles } = await listProfiles();
+            this.profileSwitcher.innerHTML = profiles
+                .map(profile => {
+                    const host = profile.base_url ? ` (${new URL(profile.base_url).host})` : '';
+                    const selected = profile.name === activeProfile ? 'selected' : '';
+                    return `<option value="${this.escapeHtml(profile.name)}" ${selected}>${this.escapeHtml(profile.name)}${host}</option>`;
+                })
+                .join('');
+            if (this.deleteProfileBtn) {
+                this.deleteProfileBtn.disabled = profiles.length < 2;
+            }
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+    }
+
+    async handleProfileSwitch(profileName) {
+        try {
+            await setActiveProfile(profileName);
+            this.completedSteps = [];
+            this.resetToStep(1);
+            this.serverUrl.value = '';
+            this.accessToken.value = '';
+            this.showToaster(`Switched to profile "${profileName}"`, 'info', 3000);
+            await this.loadConfiguration();
+        } catch (error) {
+            this.showToaster(`Could not switch profile: ${error.message}`, 'error', 0, true);
+        }
+    }
+
+    async handleCreateProfile() {
+        const profileName = prompt('Name for the new server profile (e.g. "Client")');
+        if (profileName === null) return;
+
+        try {
+            const createdName = await createProfile(profileName);
+            await this.loadProfiles();
+            await this.handleProfileSwitch(createdName);
+        } catch (error) {
+            this.showToaster(`Could not create profile: ${error.message}`, 'error', 0, true);
+        }
+    }
+
+    async handleDeleteProfile() {
+        const profileName = this.profileSwitcher?.value;
+        if (!profileName) return;
+
+        const confirmed = confirm(`Delete profile "${profileName}" with its server URL, token and project mappings?`);
+        if (!confirmed) return;
+
+        try {
+            const activeProfile = await deleteProfile(profileName);
+            await this.loadProfiles();
+            await this.handleProfileSwitch(activeProfile);
+        } catch (error) {
+            this.showToaster(`Could not delete profile: ${error.message}`, 'error', 0, true);
+        }
+    }
+
     async loadConfiguration() {
         try {
             this.config = await loadConfig();
+            this.serverUrl.value = this.config.CONFIG.base_url || '';
             this.accessToken.value = this.config.CONFIG.access_token || '';
+            this.maxRetries.value = this.config.CONFIG.max_retries;
+            this.retryBaseDelay.value = this.config.CONFIG.retry_base_delay_ms;
+            this.renderDateOrderOptions(this.config.DATE_ORDER);
+            this.renderTimeZoneOptions(this.config.DEFAULT_TIMEZONE);
+            this.renderDurationRoundingOptions(this.config.DURATION_ROUNDING);
 
             const hasValidToken = this.config.CONFIG.access_token?.trim();
-            if (!hasValidToken) return;
+            if (!hasValidToken || !this.config.CONFIG.base_url) return;
+
+            const hasPermission = await OpenProjectTimeLogger.hasHostPermission(this.config.CONFIG.base_url);
+            if (!hasPermission) {
+                this.showToaster('Access to your OpenProject server needs to be granted again. Click "Save & Test Connection" to allow it.', 'info');
+                return;
+            }
 
             this.showToaster('Access token found! Proceeding to Upload Logs...', 'success');
             setTimeout(() => {
@@ -353,7 +542,19 @@ class IntegratedOptionsController {
                 return;
             }
 
-            const basicConfig = this.createBasicConfig(accessTokenValue);
+            const baseUrl = normalizeBaseUrl(this.serverUrl.value);
+            this.serverUrl.value = baseUrl;
+
+            const granted = await this.requestHostPermission(baseUrl);
+            if (!granted) {
+                this.showToaster(`Access to ${new URL(baseUrl).origin} was not granted. The extension cannot reach your server without it.`, 'error', 0, true);
+                return;
+            }
+
+            const serverInfo = await OpenProjectTimeLogger.probeServer(baseUrl, accessTokenValue);
+            console.log('OpenProject server detected:', serverInfo);
+
+            const basicConfig = this.createBasicConfig(baseUrl, accessTokenValue);
 
             console.log('Saving config:', {
                 base_url: basicConfig.CONFIG.base_url,
@@ -376,19 +577,53 @@ class IntegratedOptionsController {
         }
     }
 
-    createBasicConfig(accessTokenValue) {
+    requestHostPermission(baseUrl) {
+        // Must run before any other await so Chrome still treats it as part of the click
+        return chrome.permissions.request({ origins: [getHostPermissionPattern(baseUrl)] });
+    }
+
+    createBasicConfig(baseUrl, accessTokenValue) {
         return {
             CONFIG: {
-                base_url: 'https://pm.reddotdigitalltd.com',
+                base_url: baseUrl,
                 access_token: accessTokenValue,
                 accountable_user_id: '',
-                assignee_user_id: ''
+                assignee_user_id: '',
+                max_retries: Math.max(0, parseInt(this.maxRetries.value) || 0),
+                retry_base_delay_ms: Math.max(0, parseInt(this.retryBaseDelay.value) || 0)
             },
-            PROJECT_MAPPINGS: {},
-            DEFAULT_TIMEZONE: 'Asia/Dhaka'
+            DEFAULT_TIMEZONE: this.timeZone?.value || DEFAULT_TIMEZONE,
+            DATE_ORDER: this.dateOrder?.value || DEFAULT_DATE_ORDER,
+            DURATION_ROUNDING: this.durationRounding ? parseInt(this.durationRounding.value) || 0 : DEFAULT_DURATION_ROUNDING
         };
     }
 
+    renderDateOrderOptions(selectedOrder) {
+        if (!this.dateOrder) return;
+        this.dateOrder.innerHTML = Object.entries(DATE_ORDERS)
+            .map(([order, label]) => `<option value="${order}"${order === selectedOrder ? ' selected' : ''}>${label}</option>`)
+            .join('');
+    }
+
+    renderDurationRoundingOptions(selectedMinutes) {
+        if (!this.durationRounding) return;
+        this.durationRounding.innerHTML = Object.entries(DURATION_ROUNDINGS)
+            .map(([minutes, label]) => `<option value="${minutes}"${Number(minutes) === selectedMinutes ? ' selected' : ''}>${label}</option>`)
+            .join('');
+    }
+
+    renderTimeZoneOptions(selectedZone) {
+        if (!this.timeZone) return;
+        const browserZone = getBrowserTimeZone();
+        // Keep the saved zone selectable even if this browser does not list it
+        const zones = [...new Set([selectedZone, ...listTimeZones()].filter(Boolean))].sort();
+        this.timeZone.innerHTML = zones.map(zone => `<option value="${zone}"${zone === selectedZone ? ' selected' : ''}>${zone.replace(/_/g, ' ')}${zone === browserZone ? ' (this browser)' : ''}</option>`).join('');
+
+        if (this.timeZoneHelp) {
+            this.timeZoneHelp.textContent = `Start and end times are worked out on this zone's clock, whatever zone the browser is in. This browser is set to ${browserZone}.`;
+        }
+    }
+
     async testConnectionAndFetchUserInfo() {
         try {
             this.config = await loadConfig();
@@ -410,6 +645,7 @@ class IntegratedOptionsController {
             await updateProjectMappings(projectMappings);
 
             this.config = updatedConfig;
+            await this.loadProfiles();
             this.showToaster(`Configuration saved successfully! Authenticated as: ${user.name} | ${projects.length} projects loaded`, 'success');
             this.completeStep(1);
         } catch (error) {
@@ -491,11 +727,18 @@ class IntegratedOptionsController {
 
         this.fileName.textContent = file.name;
         this.fileName.classList.remove('hidden');
-        this.showUploadLoader();
-        this.setupApiProgressTracking();
 
         try {
-            const result = await this.workLogService.processFile(file);
+            const importOptions = await this.resolveImportOptions(file);
+            if (!importOptions) {
+                this.handleImportCancelled();
+                return;
+            }
+
+            this.showUploadLoader();
+            this.setupApiProgressTracking();
+
+            const result = await this.workLogService.processFile(file, importOptions);
             this.hideUploadLoader();
             this.workLogEntries = this.workLogService.workLogEntries;
 
@@ -508,7 +751,12 @@ class IntegratedOptionsController {
                 return;
             }
 
-            this.showToaster(`Logs uploaded successfully! Found ${result.totalEntries} entries across ${result.dateCount} date(s)`, 'success');
+            this.fileName.textContent = this.workLogService.fileName;
+            if (result.skipped.length > 0) {
+                this.showToaster(`Found ${result.totalEntries} entries across ${result.dateCount} date(s). ${result.skipped.length} item(s) were skipped - fix them in the review step.`, 'warning');
+            } else {
+                this.showToaster(`Logs uploaded successfully! Found ${result.totalEntries} entries across ${result.dateCount} date(s)`, 'success');
+            }
 
             this.completeStep(2);
             this.analyzeWorkLog().catch(error => {
@@ -519,6 +767,634 @@ class IntegratedOptionsController {
         }
     }
 
+    async resolveImportOptions(file) {
+        const preview = await this.workLogService.previewImport(file);
+
+        if (preview?.type === 'calendar') {
+            const calendar = await this.requestCalendarImport(preview);
+            if (!calendar) {
+                return null;
+            }
+
+            await this.workLogService.saveCalendarSettings(calendar);
+            return { calendar };
+        }
+
+        if (preview?.type === 'timeTracker') {
+            const mapping = preview.unmappedProjects.length === 0 ? preview.mapping : await this.requestTimeTrackerMapping(preview);
+            if (!mapping) {
+                return null;
+            }
+
+            await this.workLogService.saveTimeTrackerMapping(preview.source, mapping);
+            return { timeTrackerMapping: mapping };
+        }
+
+        if (preview?.type === 'csv') {
+            if (preview.savedMapping) {
+                return { csvMapping: preview.savedMapping };
+            }
+
+            const mapping = await this.requestCsvMapping(preview);
+            if (!mapping) {
+                return null;
+            }
+
+            await this.workLogService.saveCsvMapping(preview.signature, mapping);
+            return { csvMapping: mapping };
+        }
+
+        return {};
+    }
+
+    handleImportCancelled() {
+        if (this.logFile) {
+            this.logFile.value = '';
+        }
+
+        if (this.fileName) {
+            this.fileName.classList.add('hidden');
+        }
+
+        this.showToaster('Import cancelled', 'info');
+    }
+
+    requestCsvMapping(preview) {
+        const fieldsHtml = CSV_FIELDS.map(
+            field => `
+            <label>
+                <span>${field.label}${field.required ? ' *' : ''}</span>
+                <select name="${field.key}">
+                    <option value="">- Not in file -</option>
+                    ${preview.headers.map(header => `<option value="${this.escapeHtml(header)}" ${preview.suggestedMapping[field.key] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>`).join('')}
+                </select>
+            </label>
+        `
+        ).join('');
+        const previewHtml = `
+            <table>
+                <thead><tr>${preview.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr></thead>
+                <tbody>${preview.sampleRows.map(row => `<tr>${preview.headers.map((header, index) => `<td>${this.escapeHtml(row[index] || '')}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        `;
+
+        return this.openImportMappingModal({
+            title: 'Map CSV Columns',
+            intro: `Found ${preview.rowCount} row(s). Choose which column holds each field - the mapping is remembered for files with the same header.`,
+            fieldsHtml,
+            previewHtml,
+            collect: () => {
+                const mapping = {};
+                this.importMappingFields.querySelectorAll('select').forEach(select => {
+                    if (select.value) {
+                        mapping[select.name] = select.value;
+                    }
+                });
+
+                const missing = CSV_FIELDS.filter(field => field.required && !mapping[field.key]).map(field => field.label);
+                if (missing.length > 0) {
+                    throw new Error(`Please map the required columns: ${missing.join(', ')}`);
+                }
+
+                return mapping;
+            }
+        });
+    }
+
+    requestTimeTrackerMapping(preview) {
+        const projectNames = Object.keys(this.config?.PROJECT_MAPPINGS || {});
+        const activityNames = Object.keys(this.config?.ACTIVITY_MAPPINGS || {});
+        const findByName = (names, key) => names.find(name => name.toLowerCase() === key.split(/[:/]/).pop().trim().toLowerCase());
+
+        const projectFields = preview.projects
+            .map(({ key, count }) => {
+                const saved = preview.mapping.projects[key];
+                const selected = saved === null ? '__skip__' : saved || findByName(projectNames, key) || '';
+                return `
+                <label>
+                    <span>${this.escapeHtml(key)} (${count})</span>
+                    <select data-kind="projects" data-key="${this.escapeHtml(key)}">
+                        <option value="">- Choose a project -</option>
+                        <option value="__skip__" ${selected === '__skip__' ? 'selected' : ''}>Skip these entries</option>
+                        ${projectNames.map(name => `<option value="${name}" ${selected === name ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                </label>
+            `;
+            })
+            .join('');
+        const activityFields = preview.activities
+            .map(({ key, count }) => {
+                const selected = preview.mapping.activities[key] ?? findByName(activityNames, key) ?? '';
+                return `
+                <label>
+                    <span>${this.escapeHtml(key)} (${count})</span>
+                    <select data-kind="activities" data-key="${this.escapeHtml(key)}">
+                        <option value="">- Infer from description -</option>
+                        ${activityNames.map(name => `<option value="${name}" ${selected === name ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                </label>
+            `;
+            })
+            .join('');
+
+        return this.openImportMappingModal({
+            title: `Map ${preview.label} Projects`,
+            intro: `Found ${preview.recordCount} ${preview.label} entries. Map their projects and tags to OpenProject projects and activities - the table is saved and reused for later exports.`,
+            fieldsHtml: `<h4>Projects</h4>${projectFields}${activityFields ? `<h4>Activities</h4>${activityFields}` : ''}`,
+            previewHtml: '',
+            collect: () => {
+                const mapping = { projects: {}, activities: {} };
+                const unmapped = [];
+
+                this.importMappingFields.querySelectorAll('select').forEach(select => {
+                    const { kind, key } = select.dataset;
+                    if (kind === 'projects') {
+                        if (!select.value) unmapped.push(key);
+                        mapping.projects[key] = select.value === '__skip__' ? null : select.value;
+                    } else if (select.value) {
+                        mapping.activities[key] = select.value;
+                    }
+                });
+
+                if (unmapped.length > 0) {
+                    throw new Error(`Choose a project or skip the entries for: ${unmapped.join(', ')}`);
+                }
+
+                return mapping;
+            }
+        });
+    }
+
+    requestCalendarImport(preview) {
+        const daysAgo = days => {
+            const [year, month, day] = formatZonedDate(new Date(), preview.timeZone).split('-').map(Number);
+            return new Date(Date.UTC(year, month - 1, day - days)).toISOString().slice(0, 10);
+        };
+        // Default to the days of the loaded work log, otherwise the last week
+        const state = {
+            from: preview.loadedDates[0] || daysAgo(6),
+            to: preview.loadedDates[preview.loadedDates.length - 1] || daysAgo(0),
+            merge: !!preview.loadedFileName,
+            fallbackProject: preview.settings.fallbackProject,
+            rules: preview.settings.rules.length > 0 ? preview.settings.rules : [{ field: 'title', pattern: '', project: '', work_package_id: '' }]
+        };
+
+        const render = () => {
+            this.importMappingFields.innerHTML = this.renderCalendarFields(state, preview);
+            this.importMappingPreview.innerHTML = this.renderCalendarPreview(preview, state);
+        };
+
+        const modal = this.openImportMappingModal({
+            title: 'Import Calendar Meetings',
+            intro: 'Events in the chosen range become Meeting entries at their real times. Rules are checked top to bottom; a pattern written as /regex/ is a regular expression.',
+            fieldsHtml: '',
+            previewHtml: '',
+            onChange: event => {
+                Object.assign(state, this.readCalendarForm());
+                const action = event.target.closest('[data-action]');
+                if (action?.dataset.action === 'add-rule') {
+                    state.rules.push({ field: 'title', pattern: '', project: '', work_package_id: '' });
+                } else if (action?.dataset.action === 'remove-rule') {
+                    state.rules.splice(parseInt(action.dataset.index), 1);
+                }
+
+                if (action) {
+                    render();
+                } else {
+                    this.importMappingPreview.innerHTML = this.renderCalendarPreview(preview, state);
+                }
+            },
+            collect: () => {
+                const calendar = this.readCalendarForm();
+                if (!calendar.from || !calendar.to || calendar.from > calendar.to) {
+                    throw new Error('Choose a valid date range');
+                }
+
+                calendar.rules = calendar.rules.filter(rule => rule.pattern || rule.project || rule.work_package_id);
+                const incomplete = calendar.rules.find(rule => !rule.pattern || !rule.project);
+                if (incomplete) {
+                    throw new Error('Every rule needs a pattern and a project');
+                }
+                if (calendar.rules.some(rule => rule.work_package_id && !(parseInt(rule.work_package_id) > 0))) {
+                    throw new Error('Rule work package IDs must be positive numbers');
+                }
+
+                return calendar;
+            }
+        });
+
+        render();
+        return modal;
+    }
+
+    readCalendarForm() {
+        const form = this.importMappingFields;
+        const rules = [...form.querySelectorAll('.calendar-rule')].map(row => ({
+            field: row.querySelector('[name="field"]').value,
+            pattern: row.querySelector('[name="pattern"]').value.trim(),
+            project: row.querySelector('[name="project"]').value,
+            work_package_id: row.querySelector('[name="work_package_id"]').value.trim()
+        }));
+
+        return {
+            from: form.querySelector('[name="from"]').value,
+            to: form.querySelector('[name="to"]').value,
+            merge: !!form.querySelector('[name="merge"]')?.checked,
+            fallbackProject: form.querySelector('[name="fallbackProject"]').value,
+            rules
+        };
+    }
+
+    renderCalendarFields(state, preview) {
+        const projectNames = Object.keys(this.config?.PROJECT_MAPPINGS || {});
+        const projectOptions = selected => projectNames.map(name => `<option value="${name}" ${selected === name ? 'selected' : ''}>${name}</option>`).join('');
+
+        return `
+            <label><span>From</span><input type="date" name="from" value="${state.from}" /></label>
+            <label><span>To</span><input type="date" name="to" value="${state.to}" /></label>
+            ${preview.loadedFileName ? `<label class="calendar-merge"><span><input type="checkbox" name="merge" ${state.merge ? 'checked' : ''} /> Add to the loaded work log (${this.escapeHtml(preview.loadedFileName)})</span></label>` : ''}
+            <h4>Rules</h4>
+            ${state.rules
+                .map(
+                    (rule, index) => `
+                <div class="calendar-rule">
+                    <select name="field">
+                        <option value="title" ${rule.field === 'title' ? 'selected' : ''}>Title contains</option>
+                        <option value="organizer" ${rule.field === 'organizer' ? 'selected' : ''}>Organizer contains</option>
+                    </select>
+                    <input type="text" name="pattern" value="${this.escapeHtml(rule.pattern)}" placeholder="e.g. daily scrum" />
+                    <select name="project">
+                        <option value="">- Project -</option>
+                        ${projectOptions(rule.project)}
+                    </select>
+                    <input type="number" name="work_package_id" min="1" value="${this.escapeHtml(rule.work_package_id || '')}" placeholder="WP ID (optional)" />
+                    <button type="button" class="btn-outline" data-action="remove-rule" data-index="${index}" aria-label="Remove rule">×</button>
+                </div>
+            `
+                )
+                .join('')}
+            <div class="calendar-rule-actions"><button type="button" class="btn-outline" data-action="add-rule">+ Add rule</button></div>
+            <label>
+                <span>Events without a matching rule</span>
+                <select name="fallbackProject">
+                    <option value="">Skip them</option>
+                    ${projectOptions(state.fallbackProject)}
+                </select>
+            </label>
+        `;
+    }
+
+    renderCalendarPreview(preview, state) {
+        const occurrences = state.from && state.to ? this.workLogService.previewCalendarEntries(preview.events, state) : [];
+        const unexpandedNote = preview.unexpandedSeries
+            .map(series => `<p class="import-mapping-intro">Only the first occurrence of "${this.escapeHtml(series.title)}" is imported: its repeat rule uses ${this.escapeHtml(series.unsupported.join(', '))}.</p>`)
+            .join('');
+        if (occurrences.length === 0) {
+            return `${unexpandedNote}<p class="import-mapping-intro">No timed events in this date range.</p>`;
+        }
+
+        return `
+            ${unexpandedNote}
+            <table>
+                <thead><tr><th>Date</th><th>Time</th><th>Event</th><th>Organizer</th><th>Logged as</th></tr></thead>
+                <tbody>
+                    ${occurrences
+                        .map(occurrence => {
+                            const resolution = occurrence.resolution;
+                            const target = resolution ? `${resolution.project}${resolution.work_package_id ? ` · WP #${resolution.work_package_id}` : ''}` : 'Skipped';
+                            return `<tr><td>${occurrence.date}</td><td>${occurrence.start} - ${occurrence.end}</td><td>${this.escapeHtml(occurrence.title)}</td><td>${this.escapeHtml(occurrence.organizer)}</td><td>${target}</td></tr>`;
+                        })
+                        .join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async showActivityRulesModal() {
+        const [settings, history] = await Promise.all([this.workLogService.loadActivityRules(), this.workLogService.loadActivityHistory()]);
+        const state = {
+            learnFromHistory: settings.learnFromHistory,
+            rules: settings.rules.length > 0 ? settings.rules : [{ project: '', pattern: '', activity: '', priority: 0 }],
+            samples: '',
+            sampleProject: ''
+        };
+
+        const render = () => {
+            this.importMappingFields.innerHTML = this.renderActivityRuleFields(state, history);
+            this.importMappingPreview.innerHTML = this.renderActivityRulePreview(state, history);
+        };
+
+        const modal = this.openImportMappingModal({
+            title: 'Activity Rules',
+            intro: "Entries without an activity get it from the first matching rule: higher priority first, then a rule for the entry's project before one for every project. A pattern written as /regex/ is a regular expression. Otherwise past submissions and the built-in keywords decide.",
+            fieldsHtml: '',
+            previewHtml: '',
+            confirmLabel: 'Save rules',
+            onChange: event => {
+                Object.assign(state, this.readActivityRuleForm());
+                const action = event.target.closest('[data-action]');
+                if (action?.dataset.action === 'add-rule') {
+                    state.rules.push({ project: '', pattern: '', activity: '', priority: 0 });
+                } else if (action?.dataset.action === 'remove-rule') {
+                    state.rules.splice(parseInt(action.dataset.index), 1);
+                }
+
+                if (action) {
+                    render();
+                } else {
+                    this.importMappingPreview.innerHTML = this.renderActivityRulePreview(state, history);
+                }
+            },
+            collect: () => {
+                const { rules, learnFromHistory } = this.readActivityRuleForm();
+                const savedRules = rules.filter(rule => rule.pattern || rule.activity);
+
+                if (savedRules.some(rule => !rule.pattern || !rule.activity)) {
+                    throw new Error('Every rule needs a pattern and an activity');
+                }
+                const invalidRule = savedRules.find(rule => !this.isValidRulePattern(rule.pattern));
+                if (invalidRule) {
+                    throw new Error(`${invalidRule.pattern} is not a valid regular expression`);
+                }
+
+                return { rules: savedRules, learnFromHistory };
+            }
+        });
+
+        render();
+        const saved = await modal;
+        if (!saved) return;
+
+        const changed = await this.workLogService.saveActivityRules(saved);
+        this.showToaster(`Activity rules saved${changed > 0 ? ` - ${changed} loaded entr${changed === 1 ? 'y was' : 'ies were'} updated` : ''}`, 'success');
+    }
+
+    readActivityRuleForm() {
+        const form = this.importMappingFields;
+        const rules = [...form.querySelectorAll('.activity-rule')].map(row => ({
+            project: row.querySelector('[name="project"]').value,
+            pattern: row.querySelector('[name="pattern"]').value.trim(),
+            activity: row.querySelector('[name="activity"]').value,
+            priority: parseInt(row.querySelector('[name="priority"]').value) || 0
+        }));
+
+        return {
+            rules,
+            learnFromHistory: !!form.querySelector('[name="learnFromHistory"]')?.checked,
+            samples: form.querySelector('[name="samples"]').value,
+            sampleProject: form.querySelector('[name="sampleProject"]').value
+        };
+    }
+
+    isValidRulePattern(pattern) {
+        const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        if (!regex) return true;
+
+        try {
+            new RegExp(regex[1], regex[2] || 'i');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    renderActivityRuleFields(state, history) {
+        const projectNames = Object.keys(this.config?.PROJECT_MAPPINGS || {});
+        const activityNames = Object.keys(this.config?.ACTIVITY_MAPPINGS || {});
+        const projectOptions = selected => projectNames.map(name => `<option value="${name}" ${selected === name ? 'selected' : ''}>${name}</option>`).join('');
+        const activityOptions = selected => activityNames.map(name => `<option value="${name}" ${selected === name ? 'selected' : ''}>${name}</option>`).join('');
+
+        return `
+            <h4>Rules</h4>
+            ${state.rules
+                .map(
+                    (rule, index) => `
+                <div class="activity-rule">
+                    <select name="project" aria-label="Project">
+                        <option value="">Every project</option>
+                        ${projectOptions(rule.project)}
+                    </select>
+                    <input type="text" name="pattern" value="${this.escapeHtml(rule.pattern)}" placeholder="e.g. review or /^qa\b/" aria-label="Subject contains" />
+                    <select name="activity" aria-label="Activity">
+                        <option value="">- Activity -</option>
+                        ${activityOptions(rule.activity)}
+                    </select>
+                    <input type="number" name="priority" step="1" value="${Number(rule.priority) || 0}" title="Priority - higher is checked first" aria-label="Priority" />
+                    <button type="button" class="btn-outline" data-action="remove-rule" data-index="${index}" aria-label="Remove rule">×</button>
+                </div>
+            `
+                )
+                .join('')}
+            <div class="activity-rule-actions"><button type="button" class="btn-outline" data-action="add-rule">+ Add rule</button></div>
+            <label class="activity-rule-actions">
+                <span><input type="checkbox" name="learnFromHistory" ${state.learnFromHistory ? 'checked' : ''} /> Learn from past submissions (${history.length} subject${history.length === 1 ? '' : 's'} remembered)</span>
+            </label>
+            <h4>Try it</h4>
+            <label>
+                <span>Subjects, one per line</span>
+                <textarea name="samples" rows="3" placeholder="Fix login redirect">${this.escapeHtml(state.samples)}</textarea>
+            </label>
+            <label>
+                <span>As project</span>
+                <select name="sampleProject">
+                    <option value="">No project</option>
+                    ${projectOptions(state.sampleProject)}
+                </select>
+            </label>
+        `;
+    }
+
+    renderActivityRulePreview(state, history) {
+        const samples = state.samples
+            .split('\n')
+            .map(subject => subject.trim())
+            .filter(Boolean)
+            .map(subject => ({ subject, project: state.sampleProject || null }));
+        const rows = this.workLogService.previewActivityRules(state, history, samples);
+
+        if (rows.length === 0) {
+            return '<p class="import-mapping-intro">Upload a work log or type a few subjects above to see which rule decides their activity.</p>';
+        }
+
+        const describeMatch = match => {
+            if (match.source === 'rule') return `Rule "${this.escapeHtml(match.rule.pattern)}"${match.rule.project ? ` for ${match.rule.project}` : ''} · priority ${Number(match.rule.priority) || 0}`;
+            if (match.source === 'history') return `Past submission "${this.escapeHtml(match.match)}"`;
+            if (match.source === 'keyword') return `Built-in keyword "${match.keyword}"`;
+            return 'Default';
+        };
+
+        return `
+            <table>
+                <thead><tr><th>Subject</th><th>Project</th><th>Activity</th><th>Decided by</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `<tr><td>${this.escapeHtml(row.subject)}</td><td>${row.project || '-'}</td><td>${row.match.activity}</td><td>${describeMatch(row.match)}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async showProjectAliasesModal() {
+        const aliases = await this.workLogService.loadProjectAliases();
+        const state = {
+            aliases: Object.keys(aliases).length > 0 ? Object.entries(aliases).map(([alias, project]) => ({ alias, project })) : [{ alias: '', project: '' }],
+            samples: ''
+        };
+
+        const render = () => {
+            this.importMappingFields.innerHTML = this.renderProjectAliasFields(state);
+            this.importMappingPreview.innerHTML = this.renderProjectAliasPreview(state);
+        };
+
+        const modal = this.openImportMappingModal({
+            title: 'Project Aliases',
+            intro: 'Entries can name a project by one of these aliases instead of its full key. Keys written in another case or with spaces instead of dashes are accepted without an alias.',
+            fieldsHtml: '',
+            previewHtml: '',
+            confirmLabel: 'Save aliases',
+            onChange: event => {
+                Object.assign(state, this.readProjectAliasForm());
+                const action = event.target.closest('[data-action]');
+                if (action?.dataset.action === 'add-alias') {
+                    state.aliases.push({ alias: '', project: '' });
+                } else if (action?.dataset.action === 'remove-alias') {
+                    state.aliases.splice(parseInt(action.dataset.index), 1);
+                }
+
+                if (action) {
+                    render();
+                } else {
+                    this.importMappingPreview.innerHTML = this.renderProjectAliasPreview(state);
+                }
+            },
+            collect: () => {
+                const savedAliases = this.readProjectAliasForm().aliases.filter(row => row.alias || row.project);
+
+                if (savedAliases.some(row => !row.alias || !row.project)) {
+                    throw new Error('Every alias needs a name and a project');
+                }
+
+                return Object.fromEntries(savedAliases.map(row => [row.alias, row.project]));
+            }
+        });
+
+        render();
+        const saved = await modal;
+        if (!saved) return;
+
+        await this.workLogService.saveProjectAliases(saved);
+        this.showToaster('Project aliases saved - they apply to the next upload or re-parse', 'success');
+    }
+
+    readProjectAliasForm() {
+        const form = this.importMappingFields;
+        return {
+            aliases: [...form.querySelectorAll('.project-alias')].map(row => ({
+                alias: row.querySelector('[name="alias"]').value.trim(),
+                project: row.querySelector('[name="project"]').value
+            })),
+            samples: form.querySelector('[name="samples"]').value
+        };
+    }
+
+    renderProjectAliasFields(state) {
+        const projectNames = Object.keys(this.config?.PROJECT_MAPPINGS || {});
+
+        return `
+            <h4>Aliases</h4>
+            ${state.aliases
+                .map(
+                    (row, index) => `
+                <div class="project-alias">
+                    <input type="text" name="alias" value="${this.escapeHtml(row.alias)}" placeholder="e.g. hr" aria-label="Alias" />
+                    <select name="project" aria-label="Project">
+                        <option value="">- Project -</option>
+                        ${projectNames.map(name => `<option value="${name}" ${row.project === name ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn-outline" data-action="remove-alias" data-index="${index}" aria-label="Remove alias">×</button>
+                </div>
+            `
+                )
+                .join('')}
+            <div class="project-alias-actions"><button type="button" class="btn-outline" data-action="add-alias">+ Add alias</button></div>
+            <h4>Try it</h4>
+            <label>
+                <span>Project names, one per line</span>
+                <textarea name="samples" rows="3" placeholder="hr">${this.escapeHtml(state.samples)}</textarea>
+            </label>
+        `;
+    }
+
+    renderProjectAliasPreview(state) {
+        const aliases = Object.fromEntries(state.aliases.filter(row => row.alias && row.project).map(row => [row.alias, row.project]));
+        const names = state.samples
+            .split('\n')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        if (names.length === 0) {
+            return '<p class="import-mapping-intro">Type a few project names above to see which project they are logged to.</p>';
+        }
+
+        const describe = ({ match, suggestions }) => {
+            if (match) return `${match.project} <small>(${match.via === 'alias' ? 'alias' : match.via === 'spelling' ? 'same key' : 'exact'})</small>`;
+            return suggestions.length > 0 ? `Unknown - did you mean ${suggestions.join(' or ')}?` : 'Unknown';
+        };
+        const rows = this.workLogService.previewProjectAliases(aliases, names, this.config?.PROJECT_MAPPINGS || {});
+
+        return `
+            <table>
+                <thead><tr><th>Name</th><th>Project</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `<tr><td>${this.escapeHtml(row.name)}</td><td>${describe(row)}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    openImportMappingModal({ title, intro, fieldsHtml, previewHtml, collect, onChange = null, confirmLabel = 'Import' }) {
+        this.importMappingTitle.textContent = title;
+        this.importMappingConfirm.textContent = confirmLabel;
+        this.importMappingIntro.textContent = intro;
+        this.importMappingFields.innerHTML = fieldsHtml;
+        this.importMappingPreview.innerHTML = previewHtml;
+        this.importMappingCollector = collect;
+        this.importMappingChange = onChange;
+
+        this.importMappingModal.classList.remove('hidden');
+        this.importMappingModal.style.display = 'block';
+
+        return new Promise(resolve => {
+            this.importMappingResolver = resolve;
+        });
+    }
+
+    handleImportMappingConfirm() {
+        let mapping;
+        try {
+            mapping = this.importMappingCollector();
+        } catch (error) {
+            this.showToaster(error.message, 'error');
+            return;
+        }
+
+        this.closeImportMappingModal(mapping);
+    }
+
+    closeImportMappingModal(mapping) {
+        this.importMappingModal.classList.add('hidden');
+        this.importMappingModal.style.display = 'none';
+        this.importMappingChange = null;
+
+        if (this.importMappingResolver) {
+            this.importMappingResolver(mapping);
+            this.importMappingResolver = null;
+        }
+    }
+
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
     hasDuplicates(serverDuplicates) {
         return serverDuplicates && serverDuplicates.length > 0;
     }
@@ -534,7 +1410,7 @@ class IntegratedOptionsController {
                     ${duplicateList}
                 </ul>
                 <p style="margin: 10px 0 0 0; font-size: 0.9em; color: #d32f2f;">
-                    Please either use the existing work package ID in your JSON file or modify the subject to make it unique.
+                    Please either use the existing work package ID in your log file or modify the subject to make it unique.
                 </p>
             </div>
         `;
@@ -552,7 +1428,7 @@ class IntegratedOptionsController {
 
     handleFileUploadError(error) {
         this.hideUploadLoader();
-        this.showToaster(`Upload failed: ${error.message}`, 'error', 10000);
+        this.showToaster(`Upload failed: ${error.message.replace(/\n/g, '<br>')}`, 'error', 10000);
 
         if (this.logFile) {
             this.logFile.value = '';
@@ -566,22 +1442,24 @@ class IntegratedOptionsController {
     }
 
     setupApiProgressTracking() {
-        const apiClient = this.workLogService.parser?.apiClient;
-        if (!apiClient) return;
-
         let requestCount = 0;
 
-        apiClient.onRequestStart = activeRequests => {
-            requestCount++;
-            const message = requestCount === 1 ? 'Checking for duplicate work packages...' : `Fetching work packages (${requestCount} API calls)...`;
-            this.updateUploadLoaderProgress(message);
-        };
-
-        apiClient.onRequestEnd = activeRequests => {
-            if (activeRequests === 0) {
-                this.updateUploadLoaderProgress('Finalizing validation...');
+        this.workLogService.setRequestHooks({
+            onRequestStart: (activeRequests, retryInfo = {}) => {
+                if (retryInfo.retrying) {
+                    this.updateUploadLoaderProgress(`Server did not respond, retrying (${retryInfo.attempt}/${retryInfo.maxAttempts})...`);
+                    return;
+                }
+                requestCount++;
+                const message = requestCount === 1 ? 'Checking for duplicate work packages...' : `Fetching work packages (${requestCount} API calls)...`;
+                this.updateUploadLoaderProgress(message);
+            },
+            onRequestEnd: activeRequests => {
+                if (activeRequests === 0) {
+                    this.updateUploadLoaderProgress('Finalizing validation...');
+                }
             }
-        };
+        });
     }
 
     downloadSampleFile() {
@@ -636,6 +1514,11 @@ class IntegratedOptionsController {
         }
     }
 
+    formatEntryHours(entry) {
+        const hours = formatHours(entry.hours || entry.duration_hours || 0);
+        return entry.duration_rounded_from !== undefined ? `${hours} (rounded from ${formatHours(entry.duration_rounded_from)})` : hours;
+    }
+
     buildTimeRange(entry) {
         const logDateRaw = entry.entry_date || entry.date;
         let logDateDisplay = '';
@@ -644,6 +1527,7 @@ class IntegratedOptionsController {
                 const dateObj = new Date(logDateRaw);
                 if (!isNaN(dateObj.getTime())) {
                     logDateDisplay = dateObj.toLocaleDateString('en-US', {
+                        timeZone: 'UTC',
                         weekday: 'short',
                         month: 'short',
                         day: 'numeric',
@@ -664,7 +1548,7 @@ class IntegratedOptionsController {
                 if (/^\d{1,2}:\d{2}$/.test(val)) return val;
                 const d = new Date(val);
                 if (!isNaN(d.getTime())) {
-                    return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+                    return formatZonedTime(d, this.workLogService.getTimeZone(entry));
                 }
                 return val;
             }
@@ -861,6 +1745,7 @@ class IntegratedOptionsController {
                 const dateObj = new Date(date);
                 if (!isNaN(dateObj.getTime())) {
                     dateDisplay = dateObj.toLocaleDateString('en-US', {
+                        timeZone: 'UTC',
                         weekday: 'short',
                         month: 'short',
                         day: 'numeric',
@@ -956,9 +1841,9 @@ class IntegratedOptionsController {
                     ${issues
                         .map(
                             issue => `
-                        <div style="background: white; border-radius: 8px; padding: 12px; margin-bottom: 10px; border-left: 4px solid ${issue.type === 'time_overlap' ? '#f44336' : issue.type === 'missing_work_package_id' ? '#e91e63' : '#ff9800'};">
+                        <div style="background: white; border-radius: 8px; padding: 12px; margin-bottom: 10px; border-left: 4px solid ${issue.type === 'time_overlap' || issue.type === 'anchor_conflict' ? '#f44336' : issue.type === 'missing_work_package_id' ? '#e91e63' : '#ff9800'};">
                             <div style="font-weight: 600; color: #d84315; margin-bottom: 4px;">
-                                ${issue.type === 'time_overlap' ? '🔄 Time Overlap' : issue.type === 'missing_work_package_id' ? '🆔 Missing Work Package ID' : '⏱️ Missing Break Time'}
+                                ${issue.type === 'time_overlap' ? '🔄 Time Overlap' : issue.type === 'anchor_conflict' ? '⚓ Start/End Conflict' : issue.type === 'missing_work_package_id' ? '🆔 Missing Work Package ID' : '⏱️ Missing Break Time'}
                             </div>
                             <div style="font-size: 14px; color: #bf360c;">
                                 <strong>[${issue.entry.project}]</strong> ${issue.entry.subject}
@@ -1144,11 +2029,24 @@ class IntegratedOptionsController {
             return;
         }
         const analysisData = this.workLogService.getAnalysisData();
+        if (!analysisData.ledgerChecked) {
+            this.showAnalysisLoader();
+            if (!this.ledgerCheck) {
+                this.ledgerCheck = this.workLogService.checkSubmissionLedger().finally(() => {
+                    this.ledgerCheck = null;
+                    this.renderAnalysisContent();
+                });
+            }
+            return;
+        }
         const { scrum, existing, new: newEntries, existingWorkPackages, duplicates } = analysisData;
         const total = scrum.length + existing.length + newEntries.length + (existingWorkPackages ? existingWorkPackages.length : 0) + (duplicates ? duplicates.length : 0);
         const totalHours = this.workLogService.calculateTotalTime();
         const uniqueDates = [...new Set(this.workLogEntries.map(entry => entry.entry_date))].sort();
         const dateDisplay = uniqueDates.length === 1 ? this.workLogService.formatDate(uniqueDates[0]) : `${uniqueDates.length} dates (${this.workLogService.formatDate(uniqueDates[0])} - ${this.workLogService.formatDate(uniqueDates[uniqueDates.length - 1])})`;
+        const entryProfiles = this.workLogService.getEntryProfiles();
+        const skippedCount = this.workLogService.skipped.length;
+        const rounding = this.workLogService.getDurationRoundingSummary();
         this.analysisSummary.innerHTML = `
             <div class="analysis-category summary" style="background: linear-gradient(135deg, #e3f2fd 0%, #bbdefb 100%); border: 2px solid #1976d2; border-radius: 16px; padding: 30px; margin-bottom: 30px; box-shadow: 0 8px 24px rgba(25, 118, 210, 0.15);">
                 <div style="text-align: center; margin-bottom: 25px;">
@@ -1169,11 +2067,30 @@ class IntegratedOptionsController {
                         <div style="font-size: 32px; margin-bottom: 12px;">⏱️</div>
                         <div style="font-size: 20px; font-weight: 700; color: #0d47a1; margin-bottom: 4px;">${totalHours} hrs</div>
                         <div style="font-size: 11px; color: #1976d2; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600;">Total Time</div>
+                        ${rounding.count > 0 ? `<div style="font-size: 11px; color: #546e7a; margin-top: 6px;">${rounding.count} duration${rounding.count === 1 ? '' : 's'} rounded to ${rounding.steps.join('/')}-minute steps (${rounding.difference >= 0 ? '+' : ''}${formatHours(rounding.difference)})</div>` : ''}
                     </div>
+                    <div style="text-align: center; min-width: 150px; background: rgba(255, 255, 255, 0.7); padding: 20px; border-radius: 12px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+                        <div style="font-size: 32px; margin-bottom: 12px;">🌐</div>
+                        <div style="font-size: ${entryProfiles.length === 1 ? '20px' : '16px'}; font-weight: 700; color: #0d47a1; margin-bottom: 4px;">${entryProfiles.join(', ')}</div>
+                        <div style="font-size: 11px; color: #1976d2; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600;">${entryProfiles.length === 1 ? 'Server Profile' : 'Server Profiles'}</div>
+                    </div>
+                    ${
+                        skippedCount > 0
+                            ? `
+                    <div style="text-align: center; min-width: 150px; background: rgba(255, 255, 255, 0.7); padding: 20px; border-radius: 12px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+                        <div style="font-size: 32px; margin-bottom: 12px;">🚫</div>
+                        <div style="font-size: 20px; font-weight: 700; color: #c62828; margin-bottom: 4px;">${skippedCount}</div>
+                        <div style="font-size: 11px; color: #c62828; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600;">Skipped</div>
+                    </div>`
+                            : ''
+                    }
                 </div>
             </div>
         `;
-        let detailsHtml = '';
+        let detailsHtml = this.buildSkippedHtml(this.workLogService.skipped);
+        detailsHtml += this.buildProjectCorrectionsHtml();
+        detailsHtml += this.buildActivityIssuesHtml(analysisData.activityIssues || []);
+        detailsHtml += this.buildAlreadyLoggedHtml([...new Set([...(analysisData.alreadySubmitted || []), ...(analysisData.alreadyLogged || [])])]);
         if (scrum.length > 0) {
             detailsHtml += `
                 <div class="analysis-category scrum" style="background: linear-gradient(135deg, #f3e5f5 0%, #e8eaf6 100%); border: 2px solid #7b1fa2; border-radius: 16px; padding: 25px; margin-bottom: 25px; box-shadow: 0 6px 20px rgba(123, 31, 162, 0.15);">
@@ -1201,7 +2118,7 @@ class IntegratedOptionsController {
                                             <div style="color: #37474f; font-size: 12px; display: flex; align-items: center; gap: 6px;">
                                                 <span style="font-size: 14px;">⏰</span>
                                                 <span>${timeRange}</span>
-                                                <span style="background: #4a148c; color: white; padding: 2px 8px; border-radius: 10px; font-size: 10px; font-weight: 600;">${entry.hours || entry.duration_hours}h</span>
+                                                <span style="background: #4a148c; color: white; padding: 2px 8px; border-radius: 10px; font-size: 10px; font-weight: 600;">${this.formatEntryHours(entry)}</span>
                                             </div>
                                         </div>
                                     </div>
@@ -1269,7 +2186,7 @@ class IntegratedOptionsController {
                                     <div style="color: #37474f; font-size: 12px; display: flex; align-items: center; gap: 6px;">
                                         <span style="font-size: 14px;">⏰</span>
                                         <span>${timeRange}</span>
-                                        <span style="background: #2e7d32; color: white; padding: 2px 8px; border-radius: 10px; font-size: 10px; font-weight: 600;">${entry.hours || entry.duration_hours}h</span>
+                                        <span style="background: #2e7d32; color: white; padding: 2px 8px; border-radius: 10px; font-size: 10px; font-weight: 600;">${this.formatEntryHours(entry)}</span>
                                     </div>
                                 </div>`;
                             })
@@ -1300,7 +2217,7 @@ class IntegratedOptionsController {
                                     <div style="color: #37474f; font-size: 12px; display: flex; align-items: center; gap: 6px;">
                                         <span style="font-size: 14px;">⏰</span>
                                         <span>${timeRange}</span>
-                                        <span style="background: #004d40; color: white; padding: 2px 8px; border-radius: 10px; font-size: 10px; font-weight: 600;">${entry.hours || entry.duration_hours}h</span>
+                                        <span style="background: #004d40; color: white; padding: 2px 8px; border-radius: 10px; font-size: 10px; font-weight: 600;">${this.formatEntryHours(entry)}</span>
                                     </div>
                                 </div>`;
                             })
@@ -1318,6 +2235,248 @@ class IntegratedOptionsController {
         this.processBtn.disabled = false;
     }
 
+    buildSkippedHtml(skipped) {
+        if (skipped.length === 0) return '';
+        return `
+            <div class="analysis-category skipped" style="background: linear-gradient(135deg, #ffebee 0%, #ffcdd2 100%); border: 2px solid #c62828; border-radius: 16px; padding: 25px; margin-bottom: 25px; box-shadow: 0 6px 20px rgba(198, 40, 40, 0.15);">
+                <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 20px;">
+                    <div style="background: linear-gradient(135deg, #c62828, #8e0000); color: white; padding: 10px; border-radius: 12px; font-size: 24px; box-shadow: 0 4px 12px rgba(198, 40, 40, 0.3);">🚫</div>
+                    <div>
+                        <h4 style="color: #8e0000; margin: 0; font-size: 20px; font-weight: 700;">SKIPPED</h4>
+                        <p style="color: #b71c1c; margin: 0; font-size: 14px;">These days and entries will not be processed. Edit them below and re-parse, or fix the file and upload it again</p>
+                    </div>
+                    <div style="margin-left: auto; background: #8e0000; color: white; padding: 6px 16px; border-radius: 20px; font-weight: 600; font-size: 14px;">${skipped.length}</div>
+                </div>
+                <div style="display: grid; gap: 12px;">
+                    ${skipped
+                        .map(
+                            item => `
+                            <div style="background: rgba(255, 255, 255, 0.8); border-radius: 12px; padding: 14px 18px; border-left: 4px solid #c62828; box-shadow: 0 3px 8px rgba(0, 0, 0, 0.08);">
+                                <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 6px;">
+                                    <span style="background: linear-gradient(135deg, #c62828, #8e0000); color: white; padding: 3px 10px; border-radius: 12px; font-size: 11px; font-weight: 600; text-transform: uppercase;" title="${item.code}">${item.reason}</span>
+                                    <code style="background: #ffebee; color: #8e0000; padding: 2px 8px; border-radius: 6px; font-size: 12px;">${this.escapeHtml(item.path)}</code>
+                                </div>
+                                ${item.context ? `<div style="font-weight: 600; color: #263238; font-size: 14px; margin-bottom: 6px; line-height: 1.4;">${this.escapeHtml(item.context)}</div>` : ''}
+                                <ul style="margin: 0 0 8px 0; padding-left: 18px; color: #6d4c41; font-size: 12px;">
+                                    ${item.errors.map(error => `<li><code>${this.escapeHtml(error.path.slice(item.path.length) || '/')}</code> ${this.escapeHtml(error.message)}</li>`).join('')}
+                                </ul>
+                                ${item.projectSuggestions?.length > 0 ? this.buildProjectSuggestionsHtml(item) : ''}
+                                <details>
+                                    <summary style="cursor: pointer; font-size: 12px; font-weight: 600; color: #8e0000;">Edit JSON</summary>
+                                    <textarea class="skipped-fix" data-path="${this.escapeHtml(item.path)}" rows="${Math.min(JSON.stringify(item.data, null, 2).split('\n').length, 14)}" spellcheck="false" style="width: 100%; margin-top: 8px; font-family: monospace; font-size: 12px; box-sizing: border-box;">${this.escapeHtml(JSON.stringify(item.data, null, 2))}</textarea>
+                                </details>
+                            </div>
+                    `
+                        )
+                        .join('')}
+                </div>
+                <div style="margin-top: 15px; text-align: right;">
+                    <button type="button" class="btn-outline" id="reparseSkippedBtn">🔁 Re-parse with fixes</button>
+                </div>
+            </div>
+        `;
+    }
+
+    buildActivityIssuesHtml(activityIssues) {
+        if (activityIssues.length === 0) return '';
+        return `
+            <div class="analysis-category activity-issues" style="background: linear-gradient(135deg, #fff3e0 0%, #ffe0b2 100%); border: 2px solid #ef6c00; border-radius: 16px; padding: 25px; margin-bottom: 25px; box-shadow: 0 6px 20px rgba(239, 108, 0, 0.15);">
+                <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 20px;">
+                    <div style="background: linear-gradient(135deg, #ef6c00, #bf360c); color: white; padding: 10px; border-radius: 12px; font-size: 24px; box-shadow: 0 4px 12px rgba(239, 108, 0, 0.3);">🏷️</div>
+                    <div>
+                        <h4 style="color: #bf360c; margin: 0; font-size: 20px; font-weight: 700;">ACTIVITY NOT ALLOWED</h4>
+                        <p style="color: #e65100; margin: 0; font-size: 14px;">The server does not accept these activities on the target project. Pick one it allows before processing</p>
+                    </div>
+                    <div style="margin-left: auto; background: #bf360c; color: white; padding: 6px 16px; border-radius: 20px; font-weight: 600; font-size: 14px;">${activityIssues.length}</div>
+                </div>
+                <div style="display: grid; gap: 12px;">
+                    ${activityIssues
+                        .map(
+                            (entry, index) => `
+                            <div style="background: rgba(255, 255, 255, 0.8); border-radius: 12px; padding: 14px 18px; border-left: 4px solid #ef6c00; box-shadow: 0 3px 8px rgba(0, 0, 0, 0.08);">
+                                <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 6px;">
+                                    <span style="background: linear-gradient(135deg, #ef6c00, #bf360c); color: white; padding: 3px 10px; border-radius: 12px; font-size: 11px; font-weight: 600; text-transform: uppercase;">${this.escapeHtml(entry.project)}</span>
+                                    <span style="color: #6d4c41; font-size: 12px;">${this.workLogService.formatDate(entry.entry_date)}</span>
+                                </div>
+                                <div style="font-weight: 600; color: #263238; font-size: 14px; margin-bottom: 6px; line-height: 1.4;">${this.escapeHtml(entry.subject)}</div>
+                                <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; font-size: 12px; color: #6d4c41;">
+                                    <span>${this.escapeHtml(entry.activity_issue.message)}.</span>
+                                    <select class="activity-fix" data-index="${index}" style="padding: 4px 8px; border-radius: 6px; border: 1px solid #ef6c00; font-size: 12px;">
+                                        <option value="">Change to…</option>
+                                        ${entry.activity_issue.allowed.map(activity => `<option value="${this.escapeHtml(activity)}">${this.escapeHtml(activity)}</option>`).join('')}
+                                    </select>
+                                </div>
+                            </div>
+                    `
+                        )
+                        .join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    handleActivityFix(select) {
+        const entry = this.workLogService.getAnalysisData().activityIssues[select.dataset.index];
+        if (!entry || !select.value) return;
+
+        const invalidActivity = entry.activity;
+        const changed = this.workLogService.correctEntryActivity(entry, select.value);
+        this.showToaster(`Changed '${invalidActivity}' to '${select.value}' on ${changed} ${entry.project} entr${changed === 1 ? 'y' : 'ies'}`, 'success');
+        this.renderAnalysisContent();
+    }
+
+    buildProjectSuggestionsHtml(item) {
+        const name = this.escapeHtml(item.data.project);
+        return `
+            <div class="project-suggestions" style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 8px; font-size: 12px; color: #6d4c41;">
+                <span>Did you mean</span>
+                ${item.projectSuggestions.map(project => `<button type="button" class="btn-outline project-fix" data-name="${name}" data-project="${this.escapeHtml(project)}" style="padding: 3px 10px; font-size: 12px;">${this.escapeHtml(project)}</button>`).join('')}
+                <label style="display: inline-flex; align-items: center; gap: 4px;"><input type="checkbox" class="project-alias-remember" /> Remember "${name}" as an alias</label>
+            </div>
+        `;
+    }
+
+    buildProjectCorrectionsHtml() {
+        if (!this.workLogService.hasProjectCorrections()) return '';
+
+        const aliased = {};
+        this.workLogEntries
+            .filter(entry => entry.project_alias)
+            .forEach(entry => {
+                const key = `${entry.project_alias.name} → ${entry.project}`;
+                aliased[key] = (aliased[key] || 0) + 1;
+            });
+        const aliasedNames = Object.entries(aliased).map(([key, count]) => `${this.escapeHtml(key)} (${count})`);
+        const summary = aliasedNames.length > 0 ? aliasedNames.join(', ') : 'The fixed projects are applied to the loaded log';
+
+        return `
+            <div class="analysis-category project-corrections" style="background: linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%); border: 2px solid #2e7d32; border-radius: 16px; padding: 20px 25px; margin-bottom: 25px; box-shadow: 0 6px 20px rgba(46, 125, 50, 0.15);">
+                <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 12px;">
+                    <div style="background: linear-gradient(135deg, #2e7d32, #1b5e20); color: white; padding: 10px; border-radius: 12px; font-size: 24px; box-shadow: 0 4px 12px rgba(46, 125, 50, 0.3);">🔤</div>
+                    <div style="flex: 1;">
+                        <h4 style="color: #1b5e20; margin: 0; font-size: 20px; font-weight: 700;">PROJECT NAMES CORRECTED</h4>
+                        <p style="color: #2e7d32; margin: 0; font-size: 14px;">${summary}</p>
+                    </div>
+                    <button type="button" class="btn-outline" id="downloadCorrectedBtn">⬇️ Download corrected JSON</button>
+                </div>
+            </div>
+        `;
+    }
+
+    async handleProjectFix(button) {
+        const { name, project } = button.dataset;
+        const rememberAlias = !!button.closest('.project-suggestions')?.querySelector('.project-alias-remember')?.checked;
+
+        await this.reparseSkipped(() => this.workLogService.fixUnknownProject(name, project, rememberAlias), `'${name}' changed to ${project}${rememberAlias ? ' and saved as an alias' : ''}`);
+    }
+
+    downloadCorrectedWorkLog() {
+        const corrected = this.workLogService.getCorrectedWorkLog();
+        if (!corrected) return;
+
+        const blob = new Blob([JSON.stringify(corrected.data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = corrected.fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        this.showToaster('Corrected work log download started', 'success');
+    }
+
+    async handleReparseSkipped() {
+        const fixes = [];
+
+        for (const textarea of this.analysisDetails.querySelectorAll('.skipped-fix')) {
+            if (textarea.value === textarea.defaultValue) continue;
+
+            try {
+                fixes.push({ path: textarea.dataset.path, value: JSON.parse(textarea.value) });
+            } catch (e) {
+                this.showToaster(`${textarea.dataset.path} is not valid JSON: ${e.message}`, 'error');
+                textarea.focus();
+                return;
+            }
+        }
+
+        if (fixes.length === 0) {
+            this.showToaster('Edit at least one skipped item before re-parsing', 'warning');
+            return;
+        }
+
+        await this.reparseSkipped(() => this.workLogService.reparseWithFixes(fixes), 'Re-parsed');
+    }
+
+    async reparseSkipped(reparse, label) {
+        const skippedBefore = this.workLogService.skipped.length;
+        this.showAnalysisLoader();
+
+        try {
+            const result = await reparse();
+            this.workLogEntries = this.workLogService.workLogEntries;
+
+            if (this.hasDuplicates(result.serverDuplicates)) {
+                this.handleDuplicates(result.serverDuplicates);
+            }
+
+            const fixedCount = Math.max(skippedBefore - result.skipped.length, 0);
+            this.showToaster(`${label}: ${fixedCount} item(s) fixed, ${result.skipped.length} still skipped`, result.skipped.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            this.showToaster(`Re-parse failed: ${error.message.replace(/\n/g, '<br>')}`, 'error', 10000);
+            this.renderAnalysisContent();
+            return;
+        }
+
+        await this.analyzeWorkLog();
+    }
+
+    buildAlreadyLoggedHtml(alreadyLogged) {
+        if (alreadyLogged.length === 0) return '';
+        return `
+            <div class="analysis-category already-logged" style="background: linear-gradient(135deg, #eceff1 0%, #cfd8dc 100%); border: 2px solid #546e7a; border-radius: 16px; padding: 25px; margin-bottom: 25px; box-shadow: 0 6px 20px rgba(84, 110, 122, 0.15);">
+                <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 20px;">
+                    <div style="background: linear-gradient(135deg, #546e7a, #37474f); color: white; padding: 10px; border-radius: 12px; font-size: 24px; box-shadow: 0 4px 12px rgba(84, 110, 122, 0.3);">⏭️</div>
+                    <div>
+                        <h4 style="color: #263238; margin: 0; font-size: 20px; font-weight: 700;">ALREADY SUBMITTED</h4>
+                        <p style="color: #455a64; margin: 0; font-size: 14px;">These entries were submitted before or already have a matching time entry on the server</p>
+                    </div>
+                    <div style="margin-left: auto; background: #37474f; color: white; padding: 6px 16px; border-radius: 20px; font-weight: 600; font-size: 14px;">${alreadyLogged.length}</div>
+                </div>
+                <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 15px; padding: 12px; background: rgba(255, 255, 255, 0.6); border-radius: 8px; font-size: 13px; font-weight: 600; color: #263238; cursor: pointer;">
+                    <input type="checkbox" id="skipAlreadyLogged" checked>
+                    Skip these entries when processing
+                </label>
+                <div style="display: grid; gap: 12px;">
+                    ${alreadyLogged
+                        .map(
+                            entry => `
+                            <div style="background: rgba(255, 255, 255, 0.8); border-radius: 12px; padding: 18px; border-left: 4px solid #546e7a; box-shadow: 0 3px 8px rgba(0, 0, 0, 0.08);">
+                                <div style="display: inline-block; background: linear-gradient(135deg, #546e7a, #37474f); color: white; padding: 3px 10px; border-radius: 12px; font-size: 11px; font-weight: 600; text-transform: uppercase; margin-bottom: 8px;">${this.escapeHtml(entry.project)}</div>
+                                <div style="font-weight: 600; color: #263238; font-size: 15px; margin-bottom: 8px; line-height: 1.4;">${this.escapeHtml(entry.subject)}</div>
+                                <div style="color: #455a64; font-size: 12px;">${this.escapeHtml(this.describeAlreadySubmitted(entry))}</div>
+                            </div>
+                    `
+                        )
+                        .join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    describeAlreadySubmitted(entry) {
+        const record = entry.already_submitted;
+        if (!record) {
+            return entry.already_logged.message;
+        }
+        if (record.source === 'server') {
+            return `Found on the server as time entry #${record.timeEntryId}${record.workPackageId ? ` (WP #${record.workPackageId})` : ''}`;
+        }
+        return `Submitted on ${this.workLogService.formatDate(record.submittedAt.split('T')[0])} as time entry #${record.timeEntryId}${record.workPackageId ? ` (WP #${record.workPackageId})` : ''}`;
+    }
+
     async setupCommentInputs(newEntries) {
         if (newEntries.length > 0) {
             this.commentInputs.innerHTML = `
@@ -1327,24 +2486,26 @@ class IntegratedOptionsController {
                 </div>
             `;
             try {
-                let statuses;
-                try {
-                    statuses = await this.workLogService.fetchStatuses();
-                } catch (error) {
-                    statuses = [
-                        { id: 1, name: 'New' },
-                        { id: 2, name: 'To Do' },
-                        { id: 7, name: 'In Progress' },
-                        { id: 11, name: 'Developed' },
-                        { id: 12, name: 'Closed' },
-                        { id: 13, name: 'Rejected' },
-                        { id: 14, name: 'On Hold' }
-                    ];
+                const statusesByProfile = {};
+                for (const profile of new Set(newEntries.map(entry => entry.profile))) {
+                    try {
+                        statusesByProfile[profile] = await this.workLogService.fetchStatuses(profile);
+                    } catch (error) {
+                        statusesByProfile[profile] = [
+                            { id: 1, name: 'New' },
+                            { id: 2, name: 'To Do' },
+                            { id: 7, name: 'In Progress' },
+                            { id: 11, name: 'Developed' },
+                            { id: 12, name: 'Closed' },
+                            { id: 13, name: 'Rejected' },
+                            { id: 14, name: 'On Hold' }
+                        ];
+                    }
                 }
                 let commentsHtml = '';
                 newEntries.forEach((entry, index) => {
                     let statusOptions = '';
-                    statuses.forEach(status => {
+                    statusesByProfile[entry.profile].forEach(status => {
                         const isDefault = status.name.toLowerCase().includes('progress') || status.name.toLowerCase().includes('in progress');
                         const selected = isDefault ? 'selected' : '';
                         statusOptions += `<option value="${status.id}" ${selected}>${status.name}</option>`;
@@ -1517,6 +2678,10 @@ class IntegratedOptionsController {
                 commentData[`status_${index}`] = statusElement.value;
             }
         });
+        const skipAlreadyLogged = document.getElementById('skipAlreadyLogged');
+        if (skipAlreadyLogged) {
+            commentData.skip_already_logged = skipAlreadyLogged.checked;
+        }
         return commentData;
     }
 
@@ -1528,6 +2693,17 @@ class IntegratedOptionsController {
             if (this.processBtn) this.processBtn.disabled = false;
             return;
         }
+        const activityIssues = this.workLogService.getAnalysisData()?.activityIssues || [];
+        if (activityIssues.length > 0) {
+            this.showToaster(`Cannot process entries: ${activityIssues.length} entr${activityIssues.length === 1 ? 'y has an activity' : 'ies have activities'} the server does not allow. Pick an allowed activity first.`, 'error', 0, true);
+            if (this.processBtn) this.processBtn.disabled = false;
+            return;
+        }
+        const interruptedBatch = await this.workLogService.getInterruptedBatch();
+        if (interruptedBatch && !confirm(`Starting a new batch discards the unfinished batch "${interruptedBatch.fileName}" (${interruptedBatch.completed}/${interruptedBatch.total} entries done). Continue?`)) {
+            return;
+        }
+        this.resumeBatchBanner?.classList.add('hidden');
         if (this.processBtn) this.processBtn.disabled = true;
         setTimeout(async () => {
             await this.startActualProcessing();
@@ -1564,34 +2740,268 @@ class IntegratedOptionsController {
         }
     }
 
+    connectBatchPort() {
+        try {
+            this.batchPort = chrome.runtime.connect({ name: 'batch-progress' });
+            this.batchPort.onMessage.addListener(message => this.handleBatchMessage(message));
+            this.batchPort.onDisconnect.addListener(() => {
+                this.batchPort = null;
+                if (this.isProcessing) {
+                    this.isProcessing = false;
+                    this.logProgress('❌ Background processing stopped unexpectedly');
+                    this.showToaster('Background processing stopped unexpectedly. You can resume the batch from the upload step.', 'error', 0, true);
+                    this.checkForInterruptedBatch();
+                }
+            });
+        } catch (error) {
+            console.error('Could not subscribe to batch progress:', error);
+        }
+    }
+
+    handleBatchMessage(message) {
+        switch (message.type) {
+            case 'BATCH_STATUS':
+                if (message.status.running) {
+                    this.showRunningBatch(message.status);
+                }
+                break;
+            case 'BATCH_PROGRESS':
+                if (message.retry) {
+                    this.showRetryProgress(message.retry);
+                } else if (message.progress) {
+                    this.showBatchProgress(message.progress);
+                }
+                break;
+            case 'BATCH_RESULT':
+                this.handleBatchResult(message);
+                break;
+        }
+    }
+
+    async checkForInterruptedBatch() {
+        if (!this.resumeBatchBanner) return;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_BATCH_STATUS' });
+            const batch = response?.status?.running ? null : await this.workLogService.getInterruptedBatch();
+            if (!batch) {
+                this.resumeBatchBanner.classList.add('hidden');
+                return;
+            }
+            this.resumeBatchBanner.innerHTML = `
+                <div class="resume-batch-info">
+                    <strong>⏸️ Unfinished batch: ${this.escapeHtml(batch.fileName)}</strong>
+                    <span>${batch.completed} of ${batch.total} entries were processed before it stopped (last activity ${new Date(batch.updatedAt).toLocaleString()})</span>
+                </div>
+                <div class="button-group">
+                    <button type="button" class="btn-primary" id="resumeBatchBtn">▶️ Resume batch from entry ${batch.resumeFrom}/${batch.total}</button>
+                    <button type="button" class="btn-outline" id="discardBatchBtn">🗑️ Discard</button>
+                </div>
+            `;
+            this.resumeBatchBanner.classList.remove('hidden');
+            document.getElementById('resumeBatchBtn')?.addEventListener('click', () => this.handleResumeBatch());
+            document.getElementById('discardBatchBtn')?.addEventListener('click', () => this.handleDiscardBatch());
+        } catch (error) {
+            console.error('Error checking for an interrupted batch:', error);
+        }
+    }
+
+    async handleResumeBatch() {
+        this.resumeBatchBanner?.classList.add('hidden');
+        await this.runProcessing({ type: 'START_BATCH', resume: true });
+    }
+
+    async handleDiscardBatch() {
+        if (!confirm('Discard the unfinished batch? Entries that were already posted stay on the server.')) return;
+        await this.workLogService.discardInterruptedBatch();
+        this.resumeBatchBanner?.classList.add('hidden');
+        this.showToaster('Unfinished batch discarded', 'info');
+    }
+
     async startActualProcessing() {
+        const analysisData = this.workLogService.getAnalysisData();
+        await this.runProcessing({
+            type: 'START_BATCH',
+            batch: {
+                fileName: this.workLogService.fileName,
+                entries: this.workLogService.getWorkLogEntries(),
+                newEntries: analysisData?.new || [],
+                commentData: this.collectCommentData(),
+                workPackageIndex: this.workLogService.getWorkPackageIndexSnapshot()
+            }
+        });
+    }
+
+    async runProcessing(message) {
+        this.showProcessingView('Initializing processing...');
+        if (!this.batchPort) {
+            this.connectBatchPort();
+        }
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response?.success) {
+                throw new Error(response?.error || 'The background worker did not accept the batch');
+            }
+            this.isProcessing = true;
+            this.logProgress('🚀 Batch started in the background - you can close this tab, processing will continue');
+        } catch (error) {
+            this.logProgress(`❌ Fatal error: ${error.message}`);
+            this.showToaster(`Processing failed: ${error.message}`, 'error', 0, true);
+            this.checkForInterruptedBatch();
+        }
+    }
+
+    showProcessingView(statusText) {
+        this.completedSteps = [...new Set([...this.completedSteps, 1, 2, 3])];
         this.goToStep(4);
         if (this.processingSection) this.processingSection.style.display = 'block';
         if (this.successSection) {
             this.successSection.classList.add('hidden');
             this.successSection.style.display = 'none';
         }
-        if (this.progressText) this.progressText.textContent = 'Initializing processing...';
+        if (this.resultsSummary) this.resultsSummary.innerHTML = '';
+        if (this.undoBatchBtn) {
+            this.undoBatchBtn.classList.add('hidden');
+            this.undoBatchBtn.textContent = '↩️ Undo this batch';
+        }
+        this.updateBatchControls({ running: true });
+        if (this.progressText) this.progressText.textContent = statusText;
+    }
+
+    updateBatchControls({ running, paused = false, cancelling = false }) {
+        this.batchControlState = { running, paused, cancelling };
+        const active = running && !cancelling;
+        if (this.cancelBatchBtn) this.cancelBatchBtn.disabled = !active;
+        if (this.pauseBatchBtn) {
+            this.pauseBatchBtn.disabled = !active;
+            this.pauseBatchBtn.classList.toggle('hidden', active && paused);
+        }
+        if (this.resumePausedBatchBtn) {
+            this.resumePausedBatchBtn.classList.toggle('hidden', !(active && paused));
+        }
+    }
+
+    showRunningBatch(status) {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+        this.resumeBatchBanner?.classList.add('hidden');
+        this.showProcessingView(status.message || 'Processing...');
+        this.logProgress(`🔄 Following the batch running in the background (${status.fileName || 'work log'})`);
+        if (status.total) {
+            this.showBatchProgress(status);
+        }
+        this.updateBatchControls(status);
+    }
+
+    showBatchProgress(progress) {
+        this.updateBatchControls({ running: true, paused: progress.paused, cancelling: progress.cancelling });
+        if (this.progressText) {
+            this.progressText.textContent = progress.message;
+        }
+        if (this.progressFill && progress.total) {
+            const progressPercent = (progress.current / progress.total) * 100;
+            this.progressFill.style.width = `${progressPercent}%`;
+        }
+        if (this.progressDetails) {
+            this.progressDetails.textContent = `${progress.current}/${progress.total}`;
+        }
+        this.logProgress(progress.message);
+    }
+
+    showRetryProgress(retryInfo) {
+        const retryText = `retrying (${retryInfo.attempt}/${retryInfo.maxAttempts})`;
+        if (this.progressText) {
+            this.progressText.textContent = `${this.progressText.textContent.replace(/ - retrying \(\d+\/\d+\)$/, '')} - ${retryText}`;
+        }
+        this.logProgress(`⚠️ Request failed, ${retryText}`);
+    }
+
+    async handleCancelBatch() {
+        if (!confirm('Cancel the running batch? Remaining entries will not be submitted and the request in progress is aborted.')) return;
+        await this.sendBatchControl('CANCEL_BATCH');
+    }
+
+    async sendBatchControl(type) {
+        const previousState = this.batchControlState;
+        if (type === 'CANCEL_BATCH') {
+            this.updateBatchControls({ ...previousState, running: true, cancelling: true });
+        } else {
+            this.updateBatchControls({ running: true, paused: type === 'PAUSE_BATCH' });
+        }
+        const response = await chrome.runtime.sendMessage({ type });
+        if (!response?.success) {
+            this.updateBatchControls(previousState);
+            this.showToaster(response?.error || 'The batch could not be updated', 'error');
+        }
+    }
+
+    handleBatchResult(message) {
+        this.isProcessing = false;
+        this.updateBatchControls({ running: false });
+        if (message.error) {
+            this.logProgress(`❌ Fatal error: ${message.error}`);
+            this.showToaster(`Processing failed: ${message.error}`, 'error', 0, true);
+            this.checkForInterruptedBatch();
+            return;
+        }
+        const result = message.result;
+        this.workLogEntries = result.results.map(entryResult => entryResult.entry);
+        const resumedCount = result.results.filter(entryResult => entryResult.resumed).length;
+        if (resumedCount) {
+            this.logProgress(`⏭️ ${resumedCount} entr${resumedCount === 1 ? 'y was' : 'ies were'} already completed before the interruption`);
+        }
+        if (result.cancelled) {
+            this.logProgress(`🛑 Batch cancelled - ${result.cancelledCount} entr${result.cancelledCount === 1 ? 'y was' : 'ies were'} not processed`);
+        }
+        this.logProgress(`📦 Work package lookups: ${result.cacheStats.hits} served from cache, ${result.cacheStats.misses} fetched from server`);
+        this.showFinalResults(result.createdCount, result.updatedCount, result.errorCount, result.results, result.skippedCount);
+        this.lastBatchId = result.batchId;
+        const createdSomething = result.results.some(entryResult => (entryResult.success && entryResult.result.timeEntryId) || entryResult.createdWorkPackageId);
+        this.undoBatchBtn?.classList.toggle('hidden', !(result.batchId && createdSomething));
+        if (this.undoBatchBtn) this.undoBatchBtn.disabled = false;
+    }
+
+    async handleUndoBatch() {
+        if (!this.lastBatchId) return;
+        if (!confirm('Undo this batch? All time entries it created will be deleted, along with new work packages that have no other time logged.')) return;
+        this.undoBatchBtn.disabled = true;
+        this.logProgress('↩️ Undoing batch...');
         try {
-            const commentData = this.collectCommentData();
-            const result = await this.workLogService.processAllEntries(commentData, progress => {
-                if (this.progressText) {
-                    this.progressText.textContent = progress.message;
-                }
-                if (this.progressFill) {
-                    const progressPercent = (progress.current / progress.total) * 100;
-                    this.progressFill.style.width = `${progressPercent}%`;
-                }
-                if (this.progressDetails) {
-                    this.progressDetails.textContent = `${progress.current}/${progress.total}`;
-                }
-                this.logProgress(progress.logMessage || progress.message);
-            });
-            this.showFinalResults(result.createdCount, result.updatedCount, result.errorCount, result.results);
+            const report = await this.workLogService.undoBatch(this.lastBatchId);
+            this.renderUndoReport(report);
+            this.showToaster(this.describeUndoReport(report), report.completed ? 'success' : 'warning');
+            if (report.completed) {
+                this.undoBatchBtn.classList.add('hidden');
+            } else {
+                this.undoBatchBtn.disabled = false;
+                this.undoBatchBtn.textContent = '↩️ Retry undo';
+            }
         } catch (error) {
-            this.logProgress(`❌ Fatal error: ${error.message}`);
-            this.showToaster(`Processing failed: ${error.message}`, 'error', 0, true);
+            this.undoBatchBtn.disabled = false;
+            this.showToaster(`Undo failed: ${error.message}`, 'error', 0, true);
+        }
+    }
+
+    describeUndoReport(report) {
+        if (report.completed) {
+            return `Batch undone: removed ${report.removedTimeEntries.length} time entries and ${report.removedWorkPackages.length} work packages`;
         }
+        return `Undo finished with ${report.failures.length} item(s) that could not be removed`;
+    }
+
+    renderUndoReport(report) {
+        if (!this.resultsSummary) return;
+        this.resultsSummary.querySelector('.results-group.undo')?.remove();
+        const failures = report.failures.map(failure => `<li><strong>${failure.type === 'time_entry' ? 'Time entry' : 'Work package'} #${failure.id}</strong> <span>${this.escapeHtml(failure.reason)}</span></li>`).join('');
+        this.resultsSummary.insertAdjacentHTML(
+            'afterbegin',
+            `
+            <section class="results-group undo ${report.completed ? 'completed' : 'failed'}">
+                <h4>↩️ Undo ${report.completed ? 'complete' : 'incomplete'}</h4>
+                <p>Removed ${report.removedTimeEntries.length} time entr${report.removedTimeEntries.length === 1 ? 'y' : 'ies'} and ${report.removedWorkPackages.length} work package${report.removedWorkPackages.length === 1 ? '' : 's'}.</p>
+                ${failures ? `<p>Could not remove:</p><ul>${failures}</ul>` : ''}
+            </section>
+        `
+        );
     }
 
     logProgress(message) {
@@ -1602,18 +3012,37 @@ class IntegratedOptionsController {
         this.processingLog.scrollTop = this.processingLog.scrollHeight;
     }
 
-    showFinalResults(createdCount, updatedCount, errorCount, results) {
-        if (this.progressText) this.progressText.textContent = 'Processing complete!';
+    showFinalResults(createdCount, updatedCount, errorCount, results, skippedCount = 0) {
+        const cancelledCount = results.filter(entryResult => entryResult.cancelled).length;
+        if (this.progressText) this.progressText.textContent = cancelledCount ? 'Batch cancelled' : 'Processing complete!';
         if (this.successSection) {
             this.successSection.classList.remove('hidden');
             this.successSection.style.display = 'block';
         }
-        this.updateSuccessStats(createdCount, updatedCount, errorCount, createdCount + updatedCount + errorCount);
+        this.updateSuccessStats(createdCount, updatedCount, errorCount, results.length, skippedCount, cancelledCount, this.getLoggedHours(results));
+        this.renderResultsReport(results);
+    }
+
+    getLoggedHours(results) {
+        return results.filter(entryResult => entryResult.success && entryResult.result.type !== 'skipped').reduce((sum, entryResult) => sum + (entryResult.entry.duration_hours || entryResult.entry.hours || 0), 0);
     }
 
-    updateSuccessStats(createdCount, updatedCount, errorCount, totalEntries) {
+    updateSuccessStats(createdCount, updatedCount, errorCount, totalEntries, skippedCount = 0, cancelledCount = 0, loggedHours = 0) {
         if (!this.successStats) return;
-        const totalTime = this.workLogEntries.reduce((sum, entry) => sum + (entry.duration_hours || entry.hours || 0), 0);
+        const skippedCard = skippedCount
+            ? `
+            <div class="stat-card">
+                <div class="stat-number">${skippedCount}</div>
+                <div class="stat-label">Skipped (Already Logged)</div>
+            </div>`
+            : '';
+        const cancelledCard = cancelledCount
+            ? `
+            <div class="stat-card">
+                <div class="stat-number">${cancelledCount}</div>
+                <div class="stat-label">Skipped by Cancel</div>
+            </div>`
+            : '';
         this.successStats.innerHTML = `
             <div class="stat-card">
                 <div class="stat-number">${totalEntries}</div>
@@ -1628,16 +3057,45 @@ class IntegratedOptionsController {
                 <div class="stat-label">Successfully Updated</div>
             </div>
             <div class="stat-card">
-                <div class="stat-number">${totalTime.toFixed(1)}h</div>
+                <div class="stat-number">${loggedHours.toFixed(1)}h</div>
                 <div class="stat-label">Total Time Logged</div>
             </div>
             <div class="stat-card">
                 <div class="stat-number">${errorCount}</div>
                 <div class="stat-label">Failed Entries</div>
-            </div>
+            </div>${skippedCard}${cancelledCard}
         `;
     }
 
+    renderResultsReport(results) {
+        if (!this.resultsSummary) return;
+        const groups = [
+            { title: '✅ Completed', className: 'completed', items: results.filter(entryResult => entryResult.success && entryResult.result.type !== 'skipped') },
+            { title: '⏭️ Skipped (Already Logged)', className: 'skipped', items: results.filter(entryResult => entryResult.success && entryResult.result.type === 'skipped') },
+            { title: '🛑 Skipped by Cancel', className: 'cancelled', items: results.filter(entryResult => entryResult.cancelled) },
+            { title: '❌ Failed', className: 'failed', items: results.filter(entryResult => !entryResult.success && !entryResult.cancelled) }
+        ];
+        this.resultsSummary.innerHTML = groups
+            .filter(group => group.items.length > 0)
+            .map(
+                group => `
+                <section class="results-group ${group.className}">
+                    <h4>${group.title} (${group.items.length})</h4>
+                    <ul>
+                        ${group.items
+                            .map(entryResult => {
+                                const entry = entryResult.entry;
+                                const detail = entryResult.success ? entryResult.result.message : entryResult.error;
+                                return `<li><strong>${this.escapeHtml(entry.entry_date || '')} ${this.escapeHtml(entry.project)} - ${this.escapeHtml(entry.subject)}</strong> <span>${this.escapeHtml(detail)}</span></li>`;
+                            })
+                            .join('')}
+                    </ul>
+                </section>
+            `
+            )
+            .join('');
+    }
+
     resetAll() {
         this.resetToStep(2);
     }
@@ -1689,6 +3147,165 @@ class IntegratedOptionsController {
         this.projectsModal.style.display = 'none';
     }
 
+    async showHistoryModal() {
+        if (!this.historyModal) return;
+        this.historyModal.classList.remove('hidden');
+        this.historyModal.style.display = 'block';
+        await this.loadHistory();
+        this.renderHistoryList();
+    }
+
+    hideHistoryModal() {
+        this.historyModal.classList.add('hidden');
+        this.historyModal.style.display = 'none';
+    }
+
+    async loadHistory() {
+        this.historyRecords = await this.workLogService.getBatchHistory();
+        const projects = [...new Set(this.historyRecords.flatMap(record => (record.entries || []).map(entry => entry.project)))].sort();
+        const selectedProject = this.historyProject.value;
+        this.historyProject.innerHTML = `<option value="">All projects</option>${projects.map(project => `<option value="${this.escapeHtml(project)}" ${project === selectedProject ? 'selected' : ''}>${this.escapeHtml(project)}</option>`).join('')}`;
+    }
+
+    getHistoryFilters() {
+        return {
+            from: this.historyFrom.value,
+            to: this.historyTo.value,
+            project: this.historyProject.value,
+            status: this.historyStatus.value
+        };
+    }
+
+    historyEntryMatches(entry, filters) {
+        if (filters.from && (!entry.date || entry.date < filters.from)) return false;
+        if (filters.to && (!entry.date || entry.date > filters.to)) return false;
+        if (filters.project && entry.project !== filters.project) return false;
+        if (filters.status && filters.status !== 'undone' && entry.status !== filters.status) return false;
+        return true;
+    }
+
+    historyBatchMatches(record, filters) {
+        if (filters.status === 'undone' && !record.undo?.completed) return false;
+        return (record.entries || []).some(entry => this.historyEntryMatches(entry, filters));
+    }
+
+    renderHistoryList() {
+        if (!this.historyContent || !this.historyRecords) return;
+        const filters = this.getHistoryFilters();
+        const records = this.historyRecords.filter(record => this.historyBatchMatches(record, filters));
+        if (records.length === 0) {
+            this.historyContent.innerHTML = `<p style="text-align: center; color: #64748b;">${this.historyRecords.length ? 'No batches match these filters.' : 'No batches have been submitted yet.'}</p>`;
+            return;
+        }
+        this.historyContent.innerHTML = records
+            .map(record => {
+                const summary = record.summary || {};
+                const status = record.undo?.completed ? 'undone' : record.status;
+                return `
+                <div class="history-batch" data-batch-id="${record.id}">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
+                        <strong>${this.escapeHtml(record.fileName)}</strong>
+                        <span class="history-badge ${status}">${status}</span>
+                    </div>
+                    <div class="history-batch-meta">
+                        ${new Date(record.finishedAt).toLocaleString()} · ${this.escapeHtml(Object.values(record.servers || {}).join(', '))}<br>
+                        ${summary.completed || 0} completed · ${summary.skipped || 0} skipped · ${summary.cancelled || 0} cancelled · ${summary.failed || 0} failed
+                    </div>
+                </div>
+            `;
+            })
+            .join('');
+        this.historyContent.querySelectorAll('.history-batch').forEach(element => {
+            element.addEventListener('click', () => this.renderHistoryDetail(element.dataset.batchId));
+        });
+    }
+
+    renderHistoryDetail(batchId) {
+        const record = this.historyRecords.find(historyRecord => historyRecord.id === batchId);
+        if (!record) return;
+        const filters = this.getHistoryFilters();
+        const entries = (record.entries || []).filter(entry => this.historyEntryMatches(entry, filters));
+        const canUndo = !record.undo?.completed && (record.createdTimeEntries.length > 0 || record.createdWorkPackages.length > 0);
+        const undoNote = record.undo
+            ? `<p class="history-batch-meta">↩️ Undo ${record.undo.completed ? 'completed' : 'incomplete'} on ${new Date(record.undo.undoneAt).toLocaleString()}${record.undo.failures.length ? ` - ${record.undo.failures.length} item(s) could not be removed` : ''}</p>`
+            : '';
+        this.historyContent.innerHTML = `
+            <div class="history-detail-actions">
+                <button type="button" class="btn-outline" id="historyBackBtn">← All batches</button>
+                <button type="button" class="btn-outline" id="historyExportBtn">⬇️ Export JSON</button>
+                ${canUndo ? '<button type="button" class="btn-outline" id="historyUndoBtn">↩️ Undo this batch</button>' : ''}
+            </div>
+            <h4 style="margin: 0 0 4px;">${this.escapeHtml(record.fileName)}</h4>
+            <p class="history-batch-meta">Started ${new Date(record.startedAt).toLocaleString()} · finished ${new Date(record.finishedAt).toLocaleString()} · ${Object.entries(record.servers || {})
+                .map(([profile, baseUrl]) => this.escapeHtml(`${profile}: ${baseUrl}`))
+                .join(', ')}</p>
+            ${undoNote}
+            <p class="history-batch-meta">Showing ${entries.length} of ${(record.entries || []).length} entries</p>
+            <table class="history-entries">
+                <thead>
+                    <tr><th>Date</th><th>Entry</th><th>Hours</th><th>Status</th><th>Links</th></tr>
+                </thead>
+                <tbody>
+                    ${entries
+                        .map(
+                            entry => `
+                        <tr>
+                            <td>${entry.date || ''}</td>
+                            <td><strong>${this.escapeHtml(entry.project)}</strong> - ${this.escapeHtml(entry.subject)}<div class="history-batch-meta">${this.escapeHtml(entry.message || '')}</div></td>
+                            <td>${entry.hours}h</td>
+                            <td><span class="history-badge ${entry.status}">${entry.status}</span></td>
+                            <td>${this.buildHistoryLinks(record, entry)}</td>
+                        </tr>
+                    `
+                        )
+                        .join('')}
+                </tbody>
+            </table>
+        `;
+        document.getElementById('historyBackBtn')?.addEventListener('click', () => this.renderHistoryList());
+        document.getElementById('historyExportBtn')?.addEventListener('click', () => this.exportHistoryBatch(record));
+        document.getElementById('historyUndoBtn')?.addEventListener('click', () => this.undoHistoryBatch(record));
+    }
+
+    buildHistoryLinks(record, entry) {
+        const serverUrl = record.servers?.[entry.profile] || Object.values(record.servers || {})[0];
+        if (!serverUrl) return '';
+        const baseUrl = this.escapeHtml(serverUrl);
+        const links = [];
+        if (entry.workPackageId) {
+            links.push(`<a href="${baseUrl}/work_packages/${entry.workPackageId}" target="_blank" rel="noopener">WP #${entry.workPackageId}</a>`);
+        }
+        if (entry.timeEntryId) {
+            links.push(`<a href="${baseUrl}/api/v3/time_entries/${entry.timeEntryId}" target="_blank" rel="noopener">Time entry #${entry.timeEntryId}</a>`);
+        }
+        return links.join('<br>');
+    }
+
+    exportHistoryBatch(record) {
+        const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${record.fileName.replace(/\.[^.]+$/, '')}-${record.id}.json`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    async undoHistoryBatch(record) {
+        if (!confirm(`Undo the batch "${record.fileName}"? All time entries it created will be deleted, along with new work packages that have no other time logged.`)) return;
+        try {
+            const report = await this.workLogService.undoBatch(record.id);
+            this.showToaster(this.describeUndoReport(report), report.completed ? 'success' : 'warning');
+        } catch (error) {
+            this.showToaster(`Undo failed: ${error.message}`, 'error', 0, true);
+        }
+        await this.loadHistory();
+        this.renderHistoryDetail(record.id);
+    }
+
     showProjectsError(errorMessage) {
         this.projectsError.classList.remove('hidden');
         const errorMessageElement = this.projectsError.querySelector('.error-message');
@@ -0,0 +1,129 @@
+import { SubmissionLedger } from './submissionLedger.js';
+
+const ACTIVITY_RULES_STORAGE_KEY = 'activityRules';
+const LEARNED_MATCH_THRESHOLD = 0.5;
+
+export const DEFAULT_ACTIVITY = 'Development';
+
+// Built-in keywords, used when no rule or past submission decides; the first keyword found in the subject wins
+export const ACTIVITY_KEYWORDS = {
+    scrum: 'Meeting',
+    meeting: 'Meeting',
+    session: 'Meeting',
+    clarification: 'Meeting',
+    setup: 'Development',
+    enhanced: 'Development',
+    fixed: 'Development',
+    fix: 'Development',
+    route: 'Development',
+    linkup: 'Development',
+    template: 'Development',
+    codes: 'Development',
+    staging: 'Support',
+    server: 'Support',
+    feedback: 'Specification',
+    recruitment: 'Specification',
+    profile: 'Development',
+    view: 'Development'
+};
+
+export class ActivityRules {
+    constructor(ledger = new SubmissionLedger()) {
+        this.ledger = ledger;
+    }
+
+    async loadSettings() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([ACTIVITY_RULES_STORAGE_KEY], result => {
+                resolve({ rules: [], learnFromHistory: false, ...(result[ACTIVITY_RULES_STORAGE_KEY] || {}) });
+            });
+        });
+    }
+
+    async saveSettings(settings) {
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [ACTIVITY_RULES_STORAGE_KEY]: settings }, () => resolve(true));
+        });
+    }
+
+    // Subject -> activity pairs of earlier submissions, newest first
+    async loadHistory() {
+        const records = Object.values(await this.ledger.load());
+        return records
+            .filter(record => record.activity && record.subject)
+            .sort((a, b) => (b.submittedAt || '').localeCompare(a.submittedAt || ''))
+            .map(record => ({ project: record.project, subject: record.subject, activity: record.activity, words: this.getWords(record.subject) }));
+    }
+
+    // Explicit rules come first, then past submissions, then the built-in keywords
+    resolve(subject, project, settings, history = []) {
+        const rule = this.sortRules(settings.rules).find(candidate => this.matchesRule(subject, project, candidate));
+        if (rule) {
+            return { activity: rule.activity, source: 'rule', rule };
+        }
+
+        const learned = settings.learnFromHistory ? this.findLearnedActivity(subject, project, history) : null;
+        if (learned) {
+            return { activity: learned.activity, source: 'history', match: learned.subject };
+        }
+
+        const subjectLower = subject.toLowerCase();
+        const keyword = Object.keys(ACTIVITY_KEYWORDS).find(candidate => subjectLower.includes(candidate));
+        if (keyword) {
+            return { activity: ACTIVITY_KEYWORDS[keyword], source: 'keyword', keyword };
+        }
+
+        return { activity: DEFAULT_ACTIVITY, source: 'default' };
+    }
+
+    // Higher priority first; at the same priority a rule for the entry's project beats one for every project, then list order decides
+    sortRules(rules) {
+        return rules
+            .map((rule, index) => ({ rule, index }))
+            .sort((a, b) => (Number(b.rule.priority) || 0) - (Number(a.rule.priority) || 0) || (b.rule.project ? 1 : 0) - (a.rule.project ? 1 : 0) || a.index - b.index)
+            .map(({ rule }) => rule);
+    }
+
+    // A pattern between slashes is a regular expression, anything else is a case-insensitive keyword
+    matchesRule(subject, project, rule) {
+        if (!rule.pattern || !rule.activity || (rule.project && rule.project !== project)) return false;
+
+        const regex = rule.pattern.match(/^\/(.+)\/([a-z]*)$/);
+
+        if (regex) {
+            try {
+                return new RegExp(regex[1], regex[2] || 'i').test(subject);
+            } catch (e) {
+                return false;
+            }
+        }
+
+        return subject.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+
+    // The past subject of the same project sharing the most words, if at least half of them
+    findLearnedActivity(subject, project, history) {
+        const words = this.getWords(subject);
+        if (words.length === 0) return null;
+
+        let best = null;
+        let bestScore = 0;
+
+        history
+            .filter(record => record.project === project)
+            .forEach(record => {
+                const shared = record.words.filter(word => words.includes(word)).length;
+                const score = shared / new Set([...words, ...record.words]).size;
+                if (score > bestScore) {
+                    best = record;
+                    bestScore = score;
+                }
+            });
+
+        return bestScore >= LEARNED_MATCH_THRESHOLD ? best : null;
+    }
+
+    getWords(subject) {
+        return [...new Set(subject.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])];
+    }
+}
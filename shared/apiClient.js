@@ -1,26 +1,138 @@
-import { loadConfig } from './config.js';
+import { loadConfig, getHostPermissionPattern } from './config.js';
+import { WorkPackageIndex } from './workPackageIndex.js';
+
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+const MAX_RETRY_DELAY_MS = 60000;
+
 export class OpenProjectTimeLogger {
-    constructor() {
+    constructor(profileName = null) {
+        this.profileName = profileName;
         this.baseUrl = '';
         this.accessToken = '';
         this.config = null;
         this.activeRequests = 0;
+        this.subjectFilterSupported = true;
+        this.workPackageIndex = new WorkPackageIndex();
+        this.allowedActivities = new Map();
+        this.maxRetries = 3;
+        this.retryBaseDelayMs = 1000;
         this.onRequestStart = null;
         this.onRequestEnd = null;
+        this.abortSignal = null;
     }
 
     async initialize() {
-        const config = await loadConfig();
+        const config = await loadConfig(this.profileName);
         this.config = config;
+        this.profileName = config.PROFILE;
         this.baseUrl = config.CONFIG.base_url?.replace(/\/$/, '') || '';
         this.accessToken = config.CONFIG.access_token || '';
+        this.maxRetries = Math.max(0, parseInt(config.CONFIG.max_retries) || 0);
+        this.retryBaseDelayMs = Math.max(0, parseInt(config.CONFIG.retry_base_delay_ms) || 0);
 
         if (!this.baseUrl || !this.accessToken) {
-            throw new Error('Base URL and Access Token must be configured');
+            throw new Error(`Base URL and Access Token must be configured for profile '${this.profileName}'`);
+        }
+
+        const hasPermission = await OpenProjectTimeLogger.hasHostPermission(this.baseUrl);
+        if (!hasPermission) {
+            throw new Error(`Access to ${new URL(this.baseUrl).origin} has not been granted. Please save the server URL again to allow it.`);
+        }
+    }
+
+    static async hasHostPermission(baseUrl) {
+        if (typeof chrome === 'undefined' || !chrome.permissions) {
+            return true;
+        }
+
+        return chrome.permissions.contains({ origins: [getHostPermissionPattern(baseUrl)] });
+    }
+
+    static async probeServer(baseUrl, accessToken = '') {
+        const headers = { Accept: 'application/hal+json' };
+        if (accessToken) {
+            headers.Authorization = `Basic ${btoa(`apikey:${accessToken}`)}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${baseUrl}/api/v3`, { headers });
+        } catch (e) {
+            throw new Error(`Could not reach ${baseUrl}: ${e.message}`);
+        }
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (e) {
+            data = null;
+        }
+
+        // OpenProject answers with a HAL document even when the request is rejected (e.g. an invalid token)
+        if (!data || typeof data._type !== 'string' || !data._links) {
+            throw new Error(`${baseUrl} does not look like an OpenProject server (no HAL response from /api/v3)`);
+        }
+
+        if (!response.ok) {
+            const reason = data.message || `HTTP ${response.status}`;
+            throw new Error(`OpenProject server at ${baseUrl} rejected the request: ${reason}`);
+        }
+
+        if (data._type !== 'Root') {
+            throw new Error(`Unexpected API root response from ${baseUrl} (type: ${data._type})`);
         }
+
+        return {
+            instanceName: data.instanceName || '',
+            coreVersion: data.coreVersion || ''
+        };
     }
 
     async _makeRequest(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const maxAttempts = this.maxRetries + 1;
+        const signal = options.signal || this.abortSignal;
+        const requestOptions = signal ? { ...options, signal } : options;
+
+        for (let attempt = 1; ; attempt++) {
+            this.throwIfAborted(signal);
+
+            try {
+                return await this._sendRequest(endpoint, requestOptions, { attempt, maxAttempts, retrying: attempt > 1 });
+            } catch (error) {
+                if (attempt >= maxAttempts || this.isAbortError(error) || !this.isRetryableError(error, method)) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt, error.retryAfterMs);
+                console.warn(`${method} ${endpoint} failed (${error.message}), retrying in ${delay}ms (${attempt + 1}/${maxAttempts})`);
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    setAbortSignal(signal) {
+        this.abortSignal = signal || null;
+    }
+
+    isAbortError(error) {
+        return error?.name === 'AbortError';
+    }
+
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw this.createAbortError();
+        }
+    }
+
+    createAbortError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    async _sendRequest(endpoint, options, retryInfo) {
         const url = `${this.baseUrl}${endpoint}`;
         const headers = {
             'Content-Type': 'application/json',
@@ -28,7 +140,7 @@ export class OpenProjectTimeLogger {
             Authorization: `Basic ${btoa(`apikey:${this.accessToken}`)}`
         };
 
-        this.trackRequestStart();
+        this.trackRequestStart(retryInfo);
 
         try {
             const response = await fetch(url, {
@@ -38,7 +150,10 @@ export class OpenProjectTimeLogger {
 
             if (!response.ok) {
                 const text = await response.text();
-                throw new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+                const error = new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+                error.status = response.status;
+                error.retryAfterMs = this.parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             }
 
             if (response.status === 204) {
@@ -47,21 +162,80 @@ export class OpenProjectTimeLogger {
 
             return response.json();
         } finally {
-            this.trackRequestEnd();
+            this.trackRequestEnd(retryInfo);
+        }
+    }
+
+    isRetryableError(error, method) {
+        const isIdempotent = RETRYABLE_METHODS.includes(method);
+
+        // No status means fetch itself failed (network error, connection reset)
+        if (error.status === undefined) {
+            return isIdempotent;
+        }
+
+        // A 429 is only sent before the request is handled, so even a POST is safe to repeat; a proxy's 503 may come after it was
+        if (error.status === 429) {
+            return true;
+        }
+
+        return isIdempotent && RETRYABLE_STATUSES.includes(error.status);
+    }
+
+    getRetryDelay(attempt, retryAfterMs = null) {
+        if (retryAfterMs !== null && retryAfterMs !== undefined) {
+            return Math.min(retryAfterMs, MAX_RETRY_DELAY_MS);
+        }
+
+        const exponentialDelay = Math.min(this.retryBaseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+        return Math.round(exponentialDelay / 2 + Math.random() * (exponentialDelay / 2));
+    }
+
+    parseRetryAfter(headerValue) {
+        if (!headerValue) {
+            return null;
+        }
+
+        const seconds = Number(headerValue);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
         }
+
+        const retryDate = Date.parse(headerValue);
+        return isNaN(retryDate) ? null : Math.max(0, retryDate - Date.now());
+    }
+
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
-    trackRequestStart() {
+    trackRequestStart(retryInfo = {}) {
         this.activeRequests++;
         if (this.onRequestStart) {
-            this.onRequestStart(this.activeRequests);
+            this.onRequestStart(this.activeRequests, retryInfo);
         }
     }
 
-    trackRequestEnd() {
+    trackRequestEnd(retryInfo = {}) {
         this.activeRequests--;
         if (this.onRequestEnd) {
-            this.onRequestEnd(this.activeRequests);
+            this.onRequestEnd(this.activeRequests, retryInfo);
         }
     }
 
@@ -79,6 +253,37 @@ export class OpenProjectTimeLogger {
         }
     }
 
+    // Activities the server accepts for time on a project or work package, read from the time entry form and kept for the session
+    async getAllowedActivities({ projectId = null, workPackageId = null }) {
+        const key = workPackageId ? `work_package:${workPackageId}` : `project:${projectId}`;
+
+        if (!this.allowedActivities.has(key)) {
+            const link = workPackageId ? { workPackage: { href: `/api/v3/work_packages/${workPackageId}` } } : { project: { href: `/api/v3/projects/${projectId}` } };
+            const request = this._makeRequest('/api/v3/time_entries/form', {
+                method: 'POST',
+                body: JSON.stringify({ _links: link })
+            }).then(form => this.readAllowedActivities(form));
+
+            this.allowedActivities.set(key, request);
+            // Failed lookups are not cached so the next call tries again
+            request.catch(() => this.allowedActivities.delete(key));
+        }
+
+        return this.allowedActivities.get(key);
+    }
+
+    readAllowedActivities(form) {
+        const activitySchema = form?._embedded?.schema?.activity || {};
+        const allowedValues = activitySchema._embedded?.allowedValues || activitySchema._links?.allowedValues || [];
+
+        return allowedValues.map(value => ({ id: value.id ?? parseInt(value.href?.split('/').pop()), name: value.name || value.title })).filter(activity => activity.id && activity.name);
+    }
+
+    findActivity(activities, activityName) {
+        const name = (activityName || '').trim().toLowerCase();
+        return activities.find(activity => activity.name.toLowerCase() === name) || null;
+    }
+
     async getStatuses() {
         try {
             const response = await this._makeRequest('/api/v3/statuses');
@@ -107,49 +312,169 @@ export class OpenProjectTimeLogger {
         }
     }
 
+    async getTimeEntry(timeEntryId) {
+        try {
+            return await this._makeRequest(`/api/v3/time_entries/${timeEntryId}`);
+        } catch (e) {
+            if (e.status === 404) {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    // Both deletes resolve to false when the resource is already gone
+    async deleteTimeEntry(timeEntryId) {
+        try {
+            await this._makeRequest(`/api/v3/time_entries/${timeEntryId}`, { method: 'DELETE' });
+            return true;
+        } catch (e) {
+            if (e.status === 404) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    async deleteWorkPackage(workPackageId) {
+        try {
+            await this._makeRequest(`/api/v3/work_packages/${workPackageId}`, { method: 'DELETE' });
+            return true;
+        } catch (e) {
+            if (e.status === 404) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    async countTimeEntriesForWorkPackage(workPackageId) {
+        const params = new URLSearchParams({
+            filters: JSON.stringify([{ work_package: { operator: '=', values: [workPackageId.toString()] } }]),
+            pageSize: '1'
+        });
+
+        const response = await this._makeRequest(`/api/v3/time_entries?${params}`);
+        return response.total || 0;
+    }
+
     async checkExistingWorkPackageBySubject(projectId, subject) {
         const normalizedSubject = subject.trim().toLowerCase();
         console.log(`Checking for existing work package with subject: "${subject}"`);
         console.log(`Normalized subject: "${normalizedSubject}"`);
 
-        try {
-            let offset = 1;
-            const pageSize = 100;
-
-            while (true) {
-                const workPackages = await this.fetchWorkPackagesPage(projectId, offset, pageSize);
-
-                if (!workPackages || workPackages.length === 0) {
-                    break;
-                }
+        const cached = this.workPackageIndex.lookup(projectId, subject);
+        if (cached.hit) {
+            console.log(`📦 Work package index hit for "${subject}" in project ${projectId}: ${cached.workPackage ? `ID ${cached.workPackage.id}` : 'no match'}`);
+            return cached.workPackage;
+        }
 
-                const match = this.findMatchingWorkPackage(workPackages, normalizedSubject);
-                if (match) {
+        try {
+            if (this.subjectFilterSupported) {
+                try {
+                    const match = await this.searchWorkPackagesBySubject(projectId, subject, normalizedSubject);
+                    this.workPackageIndex.remember(projectId, subject, match);
                     return match;
-                }
+                } catch (error) {
+                    if (!this.isFilterRejection(error)) {
+                        throw error;
+                    }
 
-                const shouldContinue = await this.shouldFetchNextPage(projectId, offset, pageSize, workPackages.length);
-                if (!shouldContinue) {
-                    break;
+                    console.warn(`Server rejected the subject filter, falling back to paging through all work packages: ${error.message}`);
+                    this.subjectFilterSupported = false;
                 }
-
-                offset++;
             }
 
-            console.log(`❌ No existing work package found for subject: "${subject}"`);
-            return null;
+            await this.indexAllWorkPackages(projectId);
+            const match = this.workPackageIndex.lookup(projectId, subject).workPackage;
+            console.log(match ? `✅ Found match in project index: '${match.subject}' (ID: ${match.id})` : `❌ No existing work package found for subject: "${subject}"`);
+            return match;
         } catch (error) {
             console.warn(`Could not check existing work packages: ${error.message}`);
             return null;
         }
     }
 
-    async fetchWorkPackagesPage(projectId, offset, pageSize) {
+    buildSubjectFilters(subject) {
+        // Without an explicit status filter the API only returns open work packages
+        return [{ subject: { operator: '~', values: [subject.trim()] } }, { status: { operator: '*', values: [] } }];
+    }
+
+    isFilterRejection(error) {
+        return error.status === 400 || error.status === 422;
+    }
+
+    async searchWorkPackagesBySubject(projectId, subject, normalizedSubject) {
+        const filters = this.buildSubjectFilters(subject);
+        let offset = 1;
+        const pageSize = 100;
+
+        while (true) {
+            const workPackages = await this.fetchWorkPackagesPage(projectId, offset, pageSize, filters);
+
+            if (!workPackages || workPackages.length === 0) {
+                break;
+            }
+
+            const match = this.findMatchingWorkPackage(workPackages, normalizedSubject);
+            if (match) {
+                return match;
+            }
+
+            if (workPackages.length < pageSize) {
+                break;
+            }
+
+            offset++;
+        }
+
+        console.log(`❌ No existing work package found for subject: "${subject}"`);
+        return null;
+    }
+
+    async indexAllWorkPackages(projectId) {
+        if (this.workPackageIndex.isComplete(projectId)) {
+            return;
+        }
+
+        // Without server-side filtering every page has to be read anyway, so index the whole project once
+        let offset = 1;
+        const pageSize = 100;
+
+        while (true) {
+            const workPackages = await this.fetchWorkPackagesPage(projectId, offset, pageSize);
+
+            if (!workPackages || workPackages.length === 0) {
+                break;
+            }
+
+            this.workPackageIndex.addWorkPackages(projectId, workPackages);
+
+            const shouldContinue = await this.shouldFetchNextPage(projectId, offset, pageSize, workPackages.length);
+            if (!shouldContinue) {
+                break;
+            }
+
+            offset++;
+        }
+
+        this.workPackageIndex.markComplete(projectId);
+    }
+
+    getCacheStats() {
+        return this.workPackageIndex.getStats();
+    }
+
+    async fetchWorkPackagesPage(projectId, offset, pageSize, filters = null) {
         const params = new URLSearchParams({
             pageSize: pageSize.toString(),
             offset: offset.toString()
         });
 
+        if (filters) {
+            params.set('filters', JSON.stringify(filters));
+        }
+
         if (this.onRequestStart && offset > 1) {
             console.log(`Fetching page ${offset} for project ${projectId}...`);
         }
@@ -195,21 +520,97 @@ export class OpenProjectTimeLogger {
 
     async checkExistingTimeEntries(workPackageId, date, activityName = null) {
         try {
-            const response = await this._makeRequest('/api/v3/time_entries');
-            const timeEntries = response._embedded?.elements || [];
-            const targetDate = this.formatDateForComparison(date);
+            const timeEntries = await this.fetchOwnTimeEntries(workPackageId, date);
 
-            return timeEntries.filter(entry => {
-                const entryDate = entry.spentOn;
-                const entryWorkPackageId = entry._links?.workPackage?.href?.split('/').pop();
-                return entryDate === targetDate && entryWorkPackageId === workPackageId.toString();
-            });
+            if (!activityName) {
+                return timeEntries;
+            }
+
+            return timeEntries.filter(entry => this.matchesActivity(entry, activityName));
         } catch (e) {
             console.error('Error checking existing time entries:', e);
             return [];
         }
     }
 
+    buildTimeEntryFilters(workPackageId, date) {
+        return [{ user: { operator: '=', values: ['me'] } }, { spent_on: { operator: '=d', values: [this.formatDateForComparison(date)] } }, { work_package: { operator: '=', values: [workPackageId.toString()] } }];
+    }
+
+    async fetchOwnTimeEntries(workPackageId, date) {
+        const filters = this.buildTimeEntryFilters(workPackageId, date);
+        const pageSize = 100;
+        const timeEntries = [];
+        let offset = 1;
+
+        while (true) {
+            const params = new URLSearchParams({
+                filters: JSON.stringify(filters),
+                pageSize: pageSize.toString(),
+                offset: offset.toString()
+            });
+
+            const response = await this._makeRequest(`/api/v3/time_entries?${params}`);
+            const elements = response._embedded?.elements || [];
+            timeEntries.push(...elements);
+
+            const total = response.total ?? timeEntries.length;
+            if (elements.length < pageSize || timeEntries.length >= total) {
+                break;
+            }
+
+            offset++;
+        }
+
+        return timeEntries;
+    }
+
+    async checkTimeEntryAlreadyLogged(workPackageId, date, hours, activityName) {
+        const sameDayEntries = await this.fetchOwnTimeEntries(workPackageId, date);
+        const summarize = entry => ({
+            id: entry.id,
+            hours: this.extractHoursFromEntry(entry),
+            activity: entry._links?.activity?.title || '',
+            comment: entry.comment?.raw || ''
+        });
+
+        const matches = sameDayEntries.filter(entry => this.matchesActivity(entry, activityName) && Math.abs(this.extractHoursFromEntry(entry) - hours) < 0.01);
+        const alreadyLogged = matches.length > 0;
+        const formattedDate = this.formatDateForComparison(date);
+
+        return {
+            alreadyLogged,
+            workPackageId,
+            date: formattedDate,
+            matches: matches.map(summarize),
+            sameDayEntries: sameDayEntries.map(summarize),
+            message: alreadyLogged
+                ? `${hours}h of ${activityName} is already logged on WP #${workPackageId} for ${formattedDate} (time entry #${matches[0].id})`
+                : sameDayEntries.length > 0
+                  ? `WP #${workPackageId} already has ${sameDayEntries.length} time entr${sameDayEntries.length === 1 ? 'y' : 'ies'} of yours on ${formattedDate}, none with ${hours}h of ${activityName}`
+                  : ''
+        };
+    }
+
+    matchesActivity(timeEntry, activityName) {
+        const activityLink = timeEntry._links?.activity || {};
+
+        // The server's own name is the reliable one; the configured IDs may not match this instance
+        if (activityLink.title) {
+            return activityLink.title.toLowerCase() === (activityName || '').toLowerCase();
+        }
+
+        const activityId = this.config?.ACTIVITY_MAPPINGS?.[activityName];
+        const linkedId = activityLink.href?.split('/').pop();
+
+        // Without a title or both IDs there is nothing to compare, so the entry does not count as a match
+        if (!activityId || !linkedId) {
+            return false;
+        }
+
+        return linkedId === activityId.toString();
+    }
+
     formatDateForComparison(date) {
         if (typeof date === 'string' && date.match(/^\d{4}-\d{2}-\d{2}$/)) {
             return date;
@@ -231,10 +632,13 @@ export class OpenProjectTimeLogger {
 
         const workPackageData = this.buildWorkPackageData(projectId, subject, activityType, description, statusId);
 
-        return this._makeRequest('/api/v3/work_packages', {
+        const workPackage = await this._makeRequest('/api/v3/work_packages', {
             method: 'POST',
             body: JSON.stringify(workPackageData)
         });
+
+        this.workPackageIndex.addWorkPackage(projectId, workPackage);
+        return workPackage;
     }
 
     buildWorkPackageData(projectId, subject, activityType, description, statusId) {
@@ -280,8 +684,7 @@ export class OpenProjectTimeLogger {
     }
 
     async createTimeEntry(workPackageId, date, startTime, hours, activityName, comment = '') {
-        const activityMapping = this.config.ACTIVITY_MAPPINGS;
-        const activityId = activityMapping[activityName] || activityMapping['Development'] || 3;
+        const activityId = await this.resolveActivityId(activityName, workPackageId);
 
         const formattedDate = this.parseAndFormatDate(date);
         this.validateHours(hours);
@@ -297,6 +700,30 @@ export class OpenProjectTimeLogger {
         });
     }
 
+    // An unknown or disallowed activity is an error instead of being logged as another one
+    async resolveActivityId(activityName, workPackageId) {
+        let allowedActivities = [];
+        try {
+            allowedActivities = await this.getAllowedActivities({ workPackageId });
+        } catch (error) {
+            console.warn(`Could not load the allowed activities of WP #${workPackageId}, using the configured ones:`, error.message);
+        }
+
+        if (allowedActivities.length > 0) {
+            const activity = this.findActivity(allowedActivities, activityName);
+            if (!activity) {
+                throw new Error(`Activity '${activityName}' is not allowed on WP #${workPackageId}. Allowed: ${allowedActivities.map(allowed => allowed.name).join(', ')}`);
+            }
+            return activity.id;
+        }
+
+        const activityId = this.config.ACTIVITY_MAPPINGS[activityName];
+        if (!activityId) {
+            throw new Error(`Unknown activity '${activityName}'. Known activities: ${Object.keys(this.config.ACTIVITY_MAPPINGS).join(', ')}`);
+        }
+        return activityId;
+    }
+
     parseAndFormatDate(date) {
         try {
             if (typeof date === 'string' && date.includes('T')) {
@@ -512,14 +939,14 @@ export class OpenProjectTimeLogger {
 
     async addTimeToExistingTimeEntry(workPackageId, date, additionalHours, activityName, comment = '') {
         try {
-            const timeEntries = await this._makeRequest('/api/v3/time_entries');
+            const timeEntries = await this.fetchOwnTimeEntries(workPackageId, date);
 
-            if (!timeEntries._embedded?.elements) {
+            if (timeEntries.length === 0) {
                 return this.createTimeEntry(workPackageId, date, null, additionalHours, activityName, comment);
             }
 
             const targetDate = this.formatDateForComparison(date);
-            const existingEntry = this.findMatchingTimeEntry(timeEntries._embedded.elements, targetDate, workPackageId);
+            const existingEntry = this.findMatchingTimeEntry(timeEntries, targetDate, workPackageId);
 
             if (existingEntry) {
                 return await this.updateExistingTimeEntry(existingEntry, additionalHours, comment);
@@ -559,8 +986,14 @@ export class OpenProjectTimeLogger {
     }
 
     extractHoursFromEntry(entry) {
-        const hoursMatch = entry.hours.match(/PT(\d+(?:\.\d+)?)H/);
-        return hoursMatch ? parseFloat(hoursMatch[1]) : 0;
+        // The API normalizes durations, so 2.5h comes back as PT2H30M rather than PT2.5H
+        const hoursMatch = (entry.hours || '').match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+        if (!hoursMatch) {
+            return 0;
+        }
+
+        const [, days, hours, minutes, seconds] = hoursMatch.map(value => parseFloat(value) || 0);
+        return days * 24 + hours + minutes / 60 + seconds / 3600;
     }
 
     async findWorkPackageBySubject(projectId, subject) {
@@ -0,0 +1,43 @@
+const BATCH_HISTORY_STORAGE_KEY = 'batchHistory';
+const MAX_HISTORY_RECORDS = 50;
+
+export class BatchHistory {
+    async list() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([BATCH_HISTORY_STORAGE_KEY], result => {
+                resolve(result[BATCH_HISTORY_STORAGE_KEY] || []);
+            });
+        });
+    }
+
+    async saveAll(records) {
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [BATCH_HISTORY_STORAGE_KEY]: records.slice(0, MAX_HISTORY_RECORDS) }, () => resolve(true));
+        });
+    }
+
+    async get(batchId) {
+        const records = await this.list();
+        return records.find(record => record.id === batchId) || null;
+    }
+
+    async add(record) {
+        const records = (await this.list()).filter(existing => existing.id !== record.id);
+        records.unshift(record);
+        await this.saveAll(records);
+        return record;
+    }
+
+    async update(batchId, changes) {
+        const records = await this.list();
+        const index = records.findIndex(record => record.id === batchId);
+
+        if (index === -1) {
+            throw new Error(`Batch ${batchId} was not found in the history`);
+        }
+
+        records[index] = { ...records[index], ...changes };
+        await this.saveAll(records);
+        return records[index];
+    }
+}
@@ -0,0 +1,71 @@
+const ACTIVE_BATCH_STORAGE_KEY = 'activeBatch';
+const COMPLETED_STATUSES = ['done', 'skipped'];
+
+export class BatchStore {
+    async load() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([ACTIVE_BATCH_STORAGE_KEY], result => {
+                resolve(result[ACTIVE_BATCH_STORAGE_KEY] || null);
+            });
+        });
+    }
+
+    async save(batch) {
+        batch.updatedAt = new Date().toISOString();
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [ACTIVE_BATCH_STORAGE_KEY]: batch }, () => resolve(true));
+        });
+    }
+
+    async clear() {
+        return new Promise(resolve => {
+            chrome.storage.local.remove([ACTIVE_BATCH_STORAGE_KEY], () => resolve(true));
+        });
+    }
+
+    async create({ fileName, entries, commentData, newEntries }) {
+        const now = new Date().toISOString();
+        const batch = {
+            id: `batch-${Date.now()}`,
+            fileName: fileName || 'Unknown file',
+            createdAt: now,
+            updatedAt: now,
+            commentData: commentData || {},
+            // Only what enrichEntryMetadata needs to line up comment and status inputs
+            newEntries: (newEntries || []).map(entry => ({ profile: entry.profile, project: entry.project, subject: entry.subject })),
+            entries: JSON.parse(JSON.stringify(entries)),
+            progress: entries.map(() => ({ status: 'pending' }))
+        };
+
+        await this.save(batch);
+        return batch;
+    }
+
+    async updateEntry(batch, index, progress) {
+        batch.progress[index] = { ...progress, updatedAt: new Date().toISOString() };
+        await this.save(batch);
+    }
+
+    isEntryCompleted(progress) {
+        return COMPLETED_STATUSES.includes(progress?.status);
+    }
+
+    getResumeIndex(batch) {
+        const index = batch.progress.findIndex(progress => !this.isEntryCompleted(progress));
+        return index === -1 ? batch.progress.length : index;
+    }
+
+    getSummary(batch) {
+        const completed = batch.progress.filter(progress => this.isEntryCompleted(progress)).length;
+
+        return {
+            id: batch.id,
+            fileName: batch.fileName,
+            createdAt: batch.createdAt,
+            updatedAt: batch.updatedAt,
+            total: batch.entries.length,
+            completed,
+            resumeFrom: this.getResumeIndex(batch) + 1
+        };
+    }
+}
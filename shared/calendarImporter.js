@@ -0,0 +1,404 @@
+import { formatLogDate } from './csvImporter.js';
+import { formatZonedDate, formatZonedTime, getBrowserTimeZone, getZonedParts, isValidTimeZone, zonedTimeToUtc } from './timeZone.js';
+
+const CALENDAR_SETTINGS_STORAGE_KEY = 'calendarImportSettings';
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const UNSUPPORTED_RRULE_PARTS = ['BYSETPOS', 'BYWEEKNO', 'BYYEARDAY', 'BYHOUR', 'BYMINUTE', 'BYSECOND'];
+
+export class CalendarImporter {
+    constructor(getTimeZone = getBrowserTimeZone) {
+        this.getTimeZone = getTimeZone;
+    }
+
+    async loadSettings() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([CALENDAR_SETTINGS_STORAGE_KEY], result => {
+                resolve({ rules: [], fallbackProject: '', ...(result[CALENDAR_SETTINGS_STORAGE_KEY] || {}) });
+            });
+        });
+    }
+
+    async saveSettings({ rules, fallbackProject }) {
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [CALENDAR_SETTINGS_STORAGE_KEY]: { rules, fallbackProject } }, () => resolve(true));
+        });
+    }
+
+    readEvents(text) {
+        const events = [];
+        let current = null;
+        let nestedDepth = 0;
+
+        this.unfoldLines(text).forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                current = { properties: {} };
+                return;
+            }
+            if (!current) return;
+
+            if (line === 'END:VEVENT') {
+                const event = this.buildEvent(current.properties);
+                if (event) events.push(event);
+                current = null;
+                return;
+            }
+
+            // Alarms and other components nested in an event carry their own properties
+            if (line.startsWith('BEGIN:')) nestedDepth++;
+            else if (line.startsWith('END:')) nestedDepth--;
+            else if (nestedDepth === 0) {
+                const property = this.parseProperty(line);
+                if (property) {
+                    current.properties[property.name] = [...(current.properties[property.name] || []), property];
+                }
+            }
+        });
+
+        if (events.length === 0) {
+            throw new Error('No events found in the calendar file');
+        }
+
+        return events;
+    }
+
+    unfoldLines(text) {
+        return text
+            .replace(/^\uFEFF/, '')
+            .replace(/\r?\n[ \t]/g, '')
+            .split(/\r?\n/)
+            .map(line => line.trimEnd())
+            .filter(line => line);
+    }
+
+    parseProperty(line) {
+        const match = line.match(/^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+        if (!match) return null;
+
+        const params = {};
+        (match[2].match(/;[^:;=]+=(?:"[^"]*"|[^:;]*)/g) || []).forEach(param => {
+            const [key, ...value] = param.slice(1).split('=');
+            params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    buildEvent(properties) {
+        const first = name => properties[name]?.[0];
+        const start = first('DTSTART') && this.parseDateTime(first('DTSTART'));
+
+        if (!start) {
+            return null;
+        }
+
+        let end = first('DTEND') ? this.parseDateTime(first('DTEND')) : null;
+        if (!end && first('DURATION')) {
+            end = { ...start, time: start.time + this.parseDuration(first('DURATION').value) };
+        }
+
+        const organizer = first('ORGANIZER');
+        const recurrenceId = first('RECURRENCE-ID');
+
+        return {
+            uid: first('UID')?.value || '',
+            title: this.unescapeText(first('SUMMARY')?.value || '(no title)'),
+            organizer: organizer ? organizer.params.CN || organizer.value.replace(/^mailto:/i, '') : '',
+            start: start.time,
+            end: end ? end.time : start.time,
+            allDay: start.allDay,
+            timeZone: start.timeZone,
+            // Cancelled occurrences are kept so they still hide the instance of the series they replace
+            cancelled: first('STATUS')?.value.toUpperCase() === 'CANCELLED',
+            rrule: first('RRULE') ? this.parseRrule(first('RRULE').value) : null,
+            exdates: (properties.EXDATE || []).flatMap(exdate => exdate.value.split(',').map(value => this.parseDateTime({ ...exdate, value }).time)),
+            recurrenceId: recurrenceId ? this.parseDateTime(recurrenceId).time : null
+        };
+    }
+
+    unescapeText(value) {
+        return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+    }
+
+    parseDateTime({ params, value }) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) return null;
+
+        const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => parseInt(part || 0));
+        const isDate = !match[4] || params.VALUE === 'DATE';
+
+        // Floating times, all-day dates and zones the browser does not know (e.g. Windows names) are read on the profile's clock
+        const timeZone = match[7] && !isDate ? 'UTC' : !isDate && isValidTimeZone(params.TZID) ? params.TZID : this.getTimeZone();
+
+        return {
+            time: zonedTimeToUtc(isDate ? { year, month, day } : { year, month, day, hour, minute, second }, timeZone),
+            allDay: isDate,
+            timeZone
+        };
+    }
+
+    parseDuration(value) {
+        const match = value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return 0;
+
+        const [, weeks, days, hours, minutes, seconds] = match.map(part => parseInt(part || 0));
+        return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+    }
+
+    parseRrule(value) {
+        const rule = {};
+        value.split(';').forEach(part => {
+            const [key, ruleValue] = part.split('=');
+            rule[key.toUpperCase()] = ruleValue;
+        });
+
+        const freq = (rule.FREQ || '').toUpperCase();
+        // BYDAY=2TU is the second Tuesday of the month, -1FR the last Friday
+        const byDay = rule.BYDAY
+            ? rule.BYDAY.split(',').map(day => {
+                  const match = day.toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                  return match ? { ordinal: match[1] ? parseInt(match[1]) : null, weekday: match[2] } : null;
+              })
+            : null;
+        const byMonthDay = rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(day => parseInt(day)) : null;
+        const byMonth = rule.BYMONTH ? rule.BYMONTH.split(',').map(month => parseInt(month)) : null;
+
+        return {
+            freq,
+            interval: parseInt(rule.INTERVAL || 1),
+            count: rule.COUNT ? parseInt(rule.COUNT) : null,
+            until: rule.UNTIL ? this.parseDateTime({ params: {}, value: rule.UNTIL })?.time : null,
+            byDay,
+            byMonthDay,
+            byMonth,
+            unsupported: this.findUnsupportedRruleParts(rule, { freq, byDay, byMonthDay, byMonth })
+        };
+    }
+
+    // Parts of a rule that cannot be expanded; such a series only imports its first occurrence
+    findUnsupportedRruleParts(rule, { freq, byDay, byMonthDay, byMonth }) {
+        const unsupported = UNSUPPORTED_RRULE_PARTS.filter(part => part in rule);
+        const hasOrdinal = byDay?.some(day => day?.ordinal);
+
+        if (!RECURRENCE_FREQUENCIES.includes(freq)) unsupported.push(`FREQ=${freq}`);
+        if (byDay?.some(day => !day || Math.abs(day.ordinal || 1) > 5)) unsupported.push(`BYDAY=${rule.BYDAY}`);
+        if (byMonthDay?.some(day => !day || Math.abs(day) > 31)) unsupported.push(`BYMONTHDAY=${rule.BYMONTHDAY}`);
+        if (byMonth?.some(month => !(month >= 1 && month <= 12))) unsupported.push(`BYMONTH=${rule.BYMONTH}`);
+        // Numbered weekdays only count within a month here, not within a week or a whole year
+        if (hasOrdinal && (freq === 'DAILY' || freq === 'WEEKLY' || (freq === 'YEARLY' && !byMonth))) unsupported.push(`BYDAY=${rule.BYDAY} with FREQ=${freq}`);
+        if (byMonthDay && freq === 'WEEKLY') unsupported.push('BYMONTHDAY with FREQ=WEEKLY');
+
+        return [...new Set(unsupported)];
+    }
+
+    // Recurring events whose rule cannot be expanded, so only their first occurrence is imported
+    getUnexpandedSeries(events) {
+        return events.filter(event => !event.allDay && !event.cancelled && event.recurrenceId === null && event.rrule?.unsupported.length > 0).map(event => ({ title: event.title, unsupported: event.rrule.unsupported }));
+    }
+
+    // Lists timed occurrences that start between the two YYYY-MM-DD dates (inclusive) on the profile's clock
+    getOccurrences(events, from, to) {
+        this.parseRangeDate(from);
+        this.parseRangeDate(to);
+
+        const overrides = events.filter(event => event.recurrenceId !== null);
+        const timeZone = this.getTimeZone();
+        const occurrences = [];
+
+        events
+            .filter(event => !event.allDay && !event.cancelled)
+            .forEach(event => {
+                const excluded = [...event.exdates, ...overrides.filter(override => override.uid === event.uid && override !== event).map(override => override.recurrenceId)];
+
+                this.expandStarts(event, from, to)
+                    .filter(start => !excluded.includes(start))
+                    .forEach(start => {
+                        const dateKey = formatZonedDate(start, timeZone);
+                        if (dateKey < from || dateKey > to) return;
+
+                        const hours = Math.round(((event.end - event.start) / 3600000) * 60) / 60;
+                        occurrences.push({
+                            uid: event.uid,
+                            title: event.title,
+                            organizer: event.organizer,
+                            date: dateKey,
+                            start: formatZonedTime(start, timeZone),
+                            end: formatZonedTime(start + (event.end - event.start), timeZone),
+                            hours
+                        });
+                    });
+            });
+
+        return occurrences.sort((a, b) => `${a.date} ${a.start}`.localeCompare(`${b.date} ${b.start}`));
+    }
+
+    // Repeats keep the wall-clock time of the event's own zone, so a 10:00 meeting stays at 10:00 across DST changes
+    expandStarts(event, from, to) {
+        if (!event.rrule || event.recurrenceId !== null || event.rrule.unsupported.length > 0) {
+            return [event.start];
+        }
+
+        const { freq, interval, count, until } = event.rrule;
+        const first = getZonedParts(event.start, event.timeZone);
+        const firstDay = new Date(Date.UTC(first.year, first.month - 1, first.day));
+        const [fromYear, fromMonth, fromDay] = this.parseRangeDate(from);
+        const [toYear, toMonth, toDay] = this.parseRangeDate(to);
+        // One day of slack on each side covers events whose zone is behind or ahead of the profile's
+        const lastDay = Date.UTC(toYear, toMonth - 1, toDay + 1, 23, 59, 59);
+        // Days before the range can be jumped over, unless a COUNT needs every earlier occurrence counted
+        const firstIndex = count ? 0 : Math.max(0, Math.floor((Date.UTC(fromYear, fromMonth - 1, fromDay - 1) - firstDay) / DAY_MS));
+        const starts = [];
+
+        for (let dayIndex = firstIndex; ; dayIndex++) {
+            const day = new Date(Date.UTC(first.year, first.month - 1, first.day + dayIndex));
+            const time = zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour: first.hour, minute: first.minute, second: first.second }, event.timeZone);
+
+            if (time > lastDay || (until && time > until) || (count && starts.length >= count)) break;
+            if (this.matchesRecurrence(day, firstDay, dayIndex, event.rrule)) {
+                starts.push(time);
+            }
+        }
+
+        return starts;
+    }
+
+    // Returns [year, month, day] of a YYYY-MM-DD date, which must exist
+    parseRangeDate(value) {
+        const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+        const parts = match ? match.slice(1).map(Number) : null;
+
+        if (!parts || formatLogDate(parts[0], parts[1], parts[2]) === null || new Date(Date.UTC(parts[0], parts[1] - 1, parts[2])).getUTCDate() !== parts[2]) {
+            throw new Error(`'${value}' is not a date like 2025-11-10`);
+        }
+
+        return parts;
+    }
+
+    // Both days are midnight UTC stand-ins for calendar days in the event's zone
+    matchesRecurrence(day, first, dayIndex, { freq, interval, byDay, byMonthDay, byMonth }) {
+        const weekday = WEEKDAYS[day.getUTCDay()];
+        const month = day.getUTCMonth() + 1;
+
+        if (byMonth && !byMonth.includes(month)) {
+            return false;
+        }
+        if (freq === 'DAILY') {
+            return dayIndex % interval === 0 && (!byDay || byDay.some(rule => rule.weekday === weekday)) && this.matchesMonthDay(day, byMonthDay);
+        }
+        if (freq === 'WEEKLY') {
+            // Weeks are counted from the Monday of the first occurrence's week
+            const firstMonday = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate() - ((first.getUTCDay() + 6) % 7));
+            const week = Math.floor(Math.round((day - firstMonday) / DAY_MS) / 7);
+            return week % interval === 0 && (byDay ? byDay.map(rule => rule.weekday) : [WEEKDAYS[first.getUTCDay()]]).includes(weekday);
+        }
+        if (freq === 'MONTHLY') {
+            const months = (day.getUTCFullYear() - first.getUTCFullYear()) * 12 + day.getUTCMonth() - first.getUTCMonth();
+            return months % interval === 0 && this.matchesDayOfMonth(day, first, { byDay, byMonthDay });
+        }
+        if (freq === 'YEARLY') {
+            // Without BYMONTH a BYDAY or BYMONTHDAY repeats in every month of the year, otherwise the first occurrence's month is kept
+            const sameMonth = byMonth || byDay || byMonthDay ? true : day.getUTCMonth() === first.getUTCMonth();
+            return sameMonth && (day.getUTCFullYear() - first.getUTCFullYear()) % interval === 0 && this.matchesDayOfMonth(day, first, { byDay, byMonthDay });
+        }
+
+        return dayIndex === 0;
+    }
+
+    // BYMONTHDAY and BYDAY narrow down the days of a month; without either the first occurrence's day of the month repeats
+    matchesDayOfMonth(day, first, { byDay, byMonthDay }) {
+        if (!byDay && !byMonthDay) {
+            return day.getUTCDate() === first.getUTCDate();
+        }
+
+        const date = day.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+        const weekday = WEEKDAYS[day.getUTCDay()];
+        // The n-th weekday from the start of the month, or from its end for a negative ordinal
+        const fromStart = Math.ceil(date / 7);
+        const fromEnd = -Math.ceil((daysInMonth - date + 1) / 7);
+        const matchesWeekday = !byDay || byDay.some(rule => rule.weekday === weekday && (!rule.ordinal || rule.ordinal === (rule.ordinal > 0 ? fromStart : fromEnd)));
+
+        return matchesWeekday && this.matchesMonthDay(day, byMonthDay);
+    }
+
+    // Negative days count back from the end of the month, -1 being its last day
+    matchesMonthDay(day, byMonthDay) {
+        if (!byMonthDay) return true;
+
+        const date = day.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+        return byMonthDay.some(monthDay => (monthDay > 0 ? monthDay === date : daysInMonth + monthDay + 1 === date));
+    }
+
+    // Rules are checked in order and the first match wins; a pattern between slashes is a regular expression
+    resolveOccurrence(occurrence, { rules, fallbackProject }) {
+        const rule = rules.find(candidate => this.matchesRule(occurrence, candidate));
+
+        if (rule) {
+            return { project: rule.project, work_package_id: rule.work_package_id ? parseInt(rule.work_package_id) : null, rule };
+        }
+
+        return fallbackProject ? { project: fallbackProject, work_package_id: null, rule: null } : null;
+    }
+
+    matchesRule(occurrence, rule) {
+        if (!rule.pattern || !rule.project) return false;
+
+        const value = rule.field === 'organizer' ? occurrence.organizer : occurrence.title;
+        const regex = rule.pattern.match(/^\/(.+)\/([a-z]*)$/);
+
+        if (regex) {
+            try {
+                return new RegExp(regex[1], regex[2] || 'i').test(value);
+            } catch (e) {
+                return false;
+            }
+        }
+
+        return value.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+
+    buildWorkLog(text, settings) {
+        if (!settings?.from || !settings?.to) {
+            throw new Error('Choose a date range for the calendar import');
+        }
+        this.parseRangeDate(settings.from);
+        this.parseRangeDate(settings.to);
+        if (settings.from > settings.to) {
+            throw new Error('The calendar import range must start on or before its end date');
+        }
+
+        const logs = [];
+
+        this.getOccurrences(this.readEvents(text), settings.from, settings.to).forEach(occurrence => {
+            const resolution = this.resolveOccurrence(occurrence, settings);
+            if (!resolution || occurrence.hours <= 0) return;
+
+            const [year, month, day] = occurrence.date.split('-');
+            const date = formatLogDate(year, month, day);
+            let log = logs.find(existing => existing.date === date);
+            if (!log) {
+                log = { date, entries: [] };
+                logs.push(log);
+            }
+
+            log.entries.push({
+                project: resolution.project,
+                subject: occurrence.title,
+                duration_hours: occurrence.hours,
+                break_hours: null,
+                activity: 'Meeting',
+                is_scrum: false,
+                work_package_id: resolution.work_package_id,
+                start_time: occurrence.start
+            });
+        });
+
+        if (logs.length === 0) {
+            throw new Error(`No calendar events between ${settings.from} and ${settings.to} matched a rule or the fallback project`);
+        }
+
+        return { logs };
+    }
+}
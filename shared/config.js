@@ -1,9 +1,13 @@
+import { isValidTimeZone } from './timeZone.js';
+
 // Configuration storage matching config.py structure exactly
 export const CONFIG = {
-    base_url: 'https://pm.reddotdigitalltd.com',
+    base_url: '',
     access_token: '',
     accountable_user_id: '',
-    assignee_user_id: ''
+    assignee_user_id: '',
+    max_retries: 3,
+    retry_base_delay_ms: 1000
 };
 
 export const PROJECT_MAPPINGS = {
@@ -39,54 +43,212 @@ export const ACTIVITY_MAPPINGS = {
 
 export const DEFAULT_TIMEZONE = 'Asia/Dhaka';
 
-export async function loadConfig() {
+// Order of the day and month in numeric dates such as 10/11/2025
+export const DATE_ORDERS = {
+    DMY: 'Day first (10/11/2025 is 10 November)',
+    MDY: 'Month first (10/11/2025 is October 11)'
+};
+
+export const DEFAULT_DATE_ORDER = 'DMY';
+
+// Minutes that entry durations are rounded to; 0 keeps them as written
+export const DURATION_ROUNDINGS = {
+    0: 'No rounding',
+    5: '5 minutes',
+    6: '6 minutes (0.1 h)',
+    10: '10 minutes',
+    15: '15 minutes',
+    30: '30 minutes'
+};
+
+export const DEFAULT_DURATION_ROUNDING = 0;
+
+export const DEFAULT_PROFILE = 'Default';
+
+export function normalizeBaseUrl(input) {
+    const trimmed = (input || '').trim();
+    if (!trimmed) {
+        throw new Error('Server URL is required');
+    }
+
+    const withScheme = /^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    let url;
+
+    try {
+        url = new URL(withScheme);
+    } catch (e) {
+        throw new Error(`Invalid server URL: ${trimmed}`);
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Server URL must use http or https, got '${url.protocol.replace(':', '')}'`);
+    }
+
+    // Users often paste the API root or a page inside the instance; keep only the installation path
+    const path = url.pathname
+        .replace(/\/+$/, '')
+        .replace(/\/api\/v3$/i, '')
+        .replace(/\/+$/, '');
+
+    return `${url.origin}${path}`;
+}
+
+export function getHostPermissionPattern(baseUrl) {
+    return `${new URL(baseUrl).origin}/*`;
+}
+
+function readConfigStore() {
     return new Promise(resolve => {
         chrome.storage.local.get(['config'], result => {
-            const savedConfig = result.config || {};
-
-            // Merge saved config with defaults, giving priority to saved values
-            const mergedConfig = {
-                CONFIG: {
-                    ...CONFIG,
-                    ...(savedConfig.CONFIG || {})
-                },
-                PROJECT_MAPPINGS: {
-                    ...PROJECT_MAPPINGS,
-                    ...(savedConfig.PROJECT_MAPPINGS || {})
-                },
-                ACTIVITY_MAPPINGS: {
-                    ...ACTIVITY_MAPPINGS,
-                    ...(savedConfig.ACTIVITY_MAPPINGS || {})
-                },
-                DEFAULT_TIMEZONE: savedConfig.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE
-            };
-
-            resolve(mergedConfig);
+            const stored = result.config || {};
+
+            // Configs saved before profiles existed hold a single profile's settings at the top level
+            if (!stored.profiles) {
+                resolve({
+                    activeProfile: DEFAULT_PROFILE,
+                    profiles: { [DEFAULT_PROFILE]: stored }
+                });
+                return;
+            }
+
+            resolve(stored);
         });
     });
 }
 
-export async function saveConfig(config) {
+function writeConfigStore(store) {
     return new Promise(resolve => {
-        chrome.storage.local.set({ config: config }, () => resolve(true));
+        chrome.storage.local.set({ config: store }, () => resolve(true));
     });
 }
 
-export async function updateProjectMappings(newMappings) {
-    // Update the in-memory PROJECT_MAPPINGS
-    Object.keys(PROJECT_MAPPINGS).forEach(key => delete PROJECT_MAPPINGS[key]);
-    Object.assign(PROJECT_MAPPINGS, newMappings);
+function resolveProfileName(store, profileName) {
+    const name = profileName || store.activeProfile || DEFAULT_PROFILE;
+
+    if (profileName && !store.profiles[profileName]) {
+        const available = Object.keys(store.profiles);
+        throw new Error(`Unknown profile '${profileName}'. Available profiles: ${available.join(', ')}`);
+    }
+
+    return name;
+}
+
+export async function loadConfig(profileName = null) {
+    const store = await readConfigStore();
+    const name = resolveProfileName(store, profileName);
+    const savedConfig = store.profiles[name] || {};
+
+    // Built-in project mappings belong to the original server and only apply to the default profile
+    const defaultProjectMappings = name === DEFAULT_PROFILE ? PROJECT_MAPPINGS : {};
+
+    // Merge saved config with defaults, giving priority to saved values
+    return {
+        PROFILE: name,
+        CONFIG: {
+            ...CONFIG,
+            ...(savedConfig.CONFIG || {})
+        },
+        PROJECT_MAPPINGS: {
+            ...defaultProjectMappings,
+            ...(savedConfig.PROJECT_MAPPINGS || {})
+        },
+        ACTIVITY_MAPPINGS: {
+            ...ACTIVITY_MAPPINGS,
+            ...(savedConfig.ACTIVITY_MAPPINGS || {})
+        },
+        DEFAULT_TIMEZONE: isValidTimeZone(savedConfig.DEFAULT_TIMEZONE) ? savedConfig.DEFAULT_TIMEZONE : DEFAULT_TIMEZONE,
+        DATE_ORDER: savedConfig.DATE_ORDER in DATE_ORDERS ? savedConfig.DATE_ORDER : DEFAULT_DATE_ORDER,
+        DURATION_ROUNDING: savedConfig.DURATION_ROUNDING in DURATION_ROUNDINGS ? Number(savedConfig.DURATION_ROUNDING) : DEFAULT_DURATION_ROUNDING
+    };
+}
+
+export async function saveConfig(config, profileName = null) {
+    const store = await readConfigStore();
+    const name = profileName || config.PROFILE || store.activeProfile || DEFAULT_PROFILE;
+    const { PROFILE, ...profileConfig } = config;
+    const savedConfig = store.profiles[name] || {};
+
+    // Keep stored fields the new config leaves out, such as the project and activity mappings
+    store.profiles[name] = {
+        ...savedConfig,
+        ...profileConfig,
+        CONFIG: {
+            ...(savedConfig.CONFIG || {}),
+            ...(profileConfig.CONFIG || {})
+        }
+    };
+    return writeConfigStore(store);
+}
+
+export async function updateProjectMappings(newMappings, profileName = null) {
+    const store = await readConfigStore();
+    const name = resolveProfileName(store, profileName);
+
+    if (name === DEFAULT_PROFILE) {
+        // Update the in-memory PROJECT_MAPPINGS
+        Object.keys(PROJECT_MAPPINGS).forEach(key => delete PROJECT_MAPPINGS[key]);
+        Object.assign(PROJECT_MAPPINGS, newMappings);
+    }
 
     // Also update in storage
-    const config = await new Promise(resolve => {
-        chrome.storage.local.get(['config'], result => {
-            resolve(result.config || {});
-        });
-    });
+    store.profiles[name] = {
+        ...(store.profiles[name] || {}),
+        PROJECT_MAPPINGS: newMappings
+    };
 
-    config.PROJECT_MAPPINGS = newMappings;
+    return writeConfigStore(store);
+}
 
-    return new Promise(resolve => {
-        chrome.storage.local.set({ config: config }, () => resolve(true));
-    });
+export async function listProfiles() {
+    const store = await readConfigStore();
+    return {
+        activeProfile: store.activeProfile || DEFAULT_PROFILE,
+        profiles: Object.keys(store.profiles).map(name => ({
+            name,
+            base_url: store.profiles[name].CONFIG?.base_url || '',
+            configured: !!store.profiles[name].CONFIG?.access_token
+        }))
+    };
+}
+
+export async function setActiveProfile(profileName) {
+    const store = await readConfigStore();
+    resolveProfileName(store, profileName);
+    store.activeProfile = profileName;
+    return writeConfigStore(store);
+}
+
+export async function createProfile(profileName) {
+    const name = (profileName || '').trim();
+    if (!name) {
+        throw new Error('Profile name is required');
+    }
+
+    const store = await readConfigStore();
+    if (store.profiles[name]) {
+        throw new Error(`Profile '${name}' already exists`);
+    }
+
+    store.profiles[name] = {};
+    store.activeProfile = name;
+    await writeConfigStore(store);
+    return name;
+}
+
+export async function deleteProfile(profileName) {
+    const store = await readConfigStore();
+    resolveProfileName(store, profileName);
+
+    const remaining = Object.keys(store.profiles).filter(name => name !== profileName);
+    if (remaining.length === 0) {
+        throw new Error('Cannot delete the only profile');
+    }
+
+    delete store.profiles[profileName];
+    if (store.activeProfile === profileName) {
+        store.activeProfile = remaining[0];
+    }
+
+    await writeConfigStore(store);
+    return store.activeProfile;
 }
@@ -0,0 +1,269 @@
+const CSV_MAPPINGS_STORAGE_KEY = 'csvHeaderMappings';
+
+export const CSV_FIELDS = [
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'log date', 'entry date'] },
+    { key: 'project', label: 'Project', required: true, aliases: ['project', 'project code', 'project key', 'client'] },
+    { key: 'subject', label: 'Subject', required: true, aliases: ['subject', 'task', 'description', 'summary', 'title'] },
+    { key: 'duration', label: 'Duration (hours)', required: true, aliases: ['duration', 'duration hours', 'hours', 'time', 'spent'] },
+    { key: 'break', label: 'Break (hours)', required: false, aliases: ['break', 'break hours', 'pause'] },
+    { key: 'activity', label: 'Activity', required: false, aliases: ['activity', 'activity type', 'category'] },
+    { key: 'is_scrum', label: 'Is scrum', required: false, aliases: ['is scrum', 'scrum', 'standup'] },
+    { key: 'work_package_id', label: 'Work package ID', required: false, aliases: ['work package id', 'work package', 'wp', 'wp id', 'ticket'] }
+];
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Formats a calendar date the way the JSON work log writes it, e.g. nov-10-2025
+export function formatLogDate(year, month, day) {
+    const monthName = MONTH_ABBREVIATIONS[parseInt(month) - 1];
+    return monthName ? `${monthName}-${String(day).padStart(2, '0')}-${year}` : null;
+}
+
+export class CsvWorkLogImporter {
+    async loadMappings() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([CSV_MAPPINGS_STORAGE_KEY], result => {
+                resolve(result[CSV_MAPPINGS_STORAGE_KEY] || {});
+            });
+        });
+    }
+
+    async getSavedMapping(signature) {
+        const mappings = await this.loadMappings();
+        return mappings[signature]?.mapping || null;
+    }
+
+    async saveMapping(signature, mapping) {
+        const mappings = await this.loadMappings();
+        mappings[signature] = { mapping, updatedAt: new Date().toISOString() };
+
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [CSV_MAPPINGS_STORAGE_KEY]: mappings }, () => resolve(true));
+        });
+    }
+
+    async preview(text, fileName) {
+        const { headers, rows } = this.parseTable(text, fileName);
+        const signature = this.getHeaderSignature(headers);
+
+        return {
+            headers,
+            signature,
+            rowCount: rows.length,
+            sampleRows: rows.slice(0, 3),
+            savedMapping: await this.getSavedMapping(signature),
+            suggestedMapping: this.suggestMapping(headers)
+        };
+    }
+
+    async buildWorkLog(text, fileName, mapping = null) {
+        const { headers, rows } = this.parseTable(text, fileName);
+        const columnMapping = mapping || (await this.getSavedMapping(this.getHeaderSignature(headers)));
+
+        if (!columnMapping) {
+            throw new Error('No column mapping is saved for this CSV header. Map the columns before importing.');
+        }
+
+        this.validateMapping(columnMapping, headers);
+
+        const logs = [];
+        const errors = [];
+        let currentDate = null;
+
+        rows.forEach((row, rowIndex) => {
+            const values = this.readRow(row, headers, columnMapping);
+
+            // Spreadsheets often leave the date only on the first row of a day
+            currentDate = values.date ? this.normalizeDate(values.date) : currentDate;
+            if (!currentDate) {
+                errors.push(`Row ${rowIndex + 2}: no date, and no earlier row to take it from`);
+                return;
+            }
+
+            let log = logs.find(existing => existing.date === currentDate);
+            if (!log) {
+                log = { date: currentDate, entries: [] };
+                logs.push(log);
+            }
+
+            log.entries.push(this.buildEntry(values));
+        });
+
+        // Dropping these rows would lose their hours without anyone noticing
+        if (errors.length > 0) {
+            throw new Error(`Invalid CSV file:\n${errors.join('\n')}`);
+        }
+
+        return { logs };
+    }
+
+    parseTable(text, fileName) {
+        const content = text.replace(/^\uFEFF/, '');
+        const records = this.parseDelimited(content, this.detectDelimiter(content, fileName)).filter(record => record.some(value => value.trim() !== ''));
+
+        if (records.length === 0) {
+            throw new Error('The CSV file is empty');
+        }
+
+        const headers = records[0].map(header => header.trim());
+        if (headers.some(header => !header)) {
+            throw new Error('Every CSV column needs a header name');
+        }
+        if (new Set(headers).size !== headers.length) {
+            throw new Error('CSV header names must be unique');
+        }
+
+        return { headers, rows: records.slice(1) };
+    }
+
+    detectDelimiter(content, fileName = '') {
+        if (fileName.toLowerCase().endsWith('.tsv')) {
+            return '\t';
+        }
+
+        const headerLine = content.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        return candidates.reduce((best, candidate) => (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best), ',');
+    }
+
+    parseDelimited(content, delimiter) {
+        const records = [];
+        let record = [];
+        let value = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                record.push(value);
+                records.push(record);
+                record = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('Invalid CSV file: unterminated quoted value');
+        }
+
+        if (value !== '' || record.length > 0) {
+            record.push(value);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    getHeaderSignature(headers) {
+        // Column order does not matter because mappings refer to header names
+        return headers
+            .map(header => this.normalizeHeader(header))
+            .sort()
+            .join('|');
+    }
+
+    normalizeHeader(header) {
+        return header
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Saved mappings match by signature, so the header casing may differ from the current file
+    findColumn(headers, header) {
+        return headers.findIndex(candidate => this.normalizeHeader(candidate) === this.normalizeHeader(header));
+    }
+
+    suggestMapping(headers) {
+        const mapping = {};
+
+        CSV_FIELDS.forEach(field => {
+            const header = headers.find(candidate => field.aliases.includes(this.normalizeHeader(candidate)));
+            if (header && !Object.values(mapping).includes(header)) {
+                mapping[field.key] = header;
+            }
+        });
+
+        return mapping;
+    }
+
+    validateMapping(mapping, headers) {
+        const missing = CSV_FIELDS.filter(field => field.required && !mapping[field.key]).map(field => field.label);
+        if (missing.length > 0) {
+            throw new Error(`CSV column mapping is missing: ${missing.join(', ')}`);
+        }
+
+        const unknown = Object.values(mapping).filter(header => header && this.findColumn(headers, header) === -1);
+        if (unknown.length > 0) {
+            throw new Error(`CSV column mapping refers to unknown columns: ${unknown.join(', ')}`);
+        }
+    }
+
+    readRow(row, headers, mapping) {
+        const values = {};
+
+        CSV_FIELDS.forEach(field => {
+            const columnIndex = mapping[field.key] ? this.findColumn(headers, mapping[field.key]) : -1;
+            values[field.key] = columnIndex === -1 ? '' : (row[columnIndex] || '').trim();
+        });
+
+        return values;
+    }
+
+    buildEntry(values) {
+        return {
+            project: values.project,
+            subject: values.subject,
+            duration_hours: this.toNumber(values.duration),
+            break_hours: values.break ? this.toNumber(values.break) : null,
+            // An empty activity lets the parser infer one from the subject
+            activity: values.activity,
+            is_scrum: this.toBoolean(values.is_scrum),
+            work_package_id: values.work_package_id ? this.toNumber(values.work_package_id) : null
+        };
+    }
+
+    // Invalid values are passed through unchanged so the parser reports them with the entry
+    toNumber(value) {
+        const number = Number(value.replace(',', '.'));
+        return value !== '' && !isNaN(number) ? number : value;
+    }
+
+    toBoolean(value) {
+        const normalized = value.toLowerCase();
+
+        if (!normalized || FALSE_VALUES.includes(normalized)) return false;
+        if (TRUE_VALUES.includes(normalized)) return true;
+        return value;
+    }
+
+    normalizeDate(value) {
+        const isoMatch = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!isoMatch) {
+            return value;
+        }
+
+        const [, year, month, day] = isoMatch;
+        return formatLogDate(year, month, day) || value;
+    }
+}
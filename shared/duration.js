@@ -0,0 +1,55 @@
+// Durations in work logs: 2.5, 2.5h, 90m, 1h30m, 1:30 and ISO 8601 such as PT1H30M
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+const HOURS_AND_MINUTES = new RegExp(`^${NUMBER}h(?:(\\d+)m)?$`);
+const MINUTES = new RegExp(`^${NUMBER}m$`);
+const CLOCK = /^(\d+):([0-5]\d)$/;
+const ISO_DURATION = new RegExp(`^pt(?=[\\d.])(?:${NUMBER}h)?(?:${NUMBER}m)?$`);
+const PLAIN_HOURS = new RegExp(`^${NUMBER}$`);
+
+// Returns hours, or null when the value is not a duration
+export function parseDuration(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const normalized = value.toLowerCase().replace(/\s+/g, '');
+
+    const hoursAndMinutes = normalized.match(HOURS_AND_MINUTES);
+    if (hoursAndMinutes) {
+        return parseFloat(hoursAndMinutes[1]) + parseInt(hoursAndMinutes[2] || 0) / 60;
+    }
+
+    const minutes = normalized.match(MINUTES);
+    if (minutes) {
+        return parseFloat(minutes[1]) / 60;
+    }
+
+    const clock = normalized.match(CLOCK);
+    if (clock) {
+        return parseInt(clock[1]) + parseInt(clock[2]) / 60;
+    }
+
+    const isoDuration = normalized.match(ISO_DURATION);
+    if (isoDuration) {
+        return parseFloat(isoDuration[1] || 0) + parseFloat(isoDuration[2] || 0) / 60;
+    }
+
+    return PLAIN_HOURS.test(normalized) ? parseFloat(normalized) : null;
+}
+
+// Rounds to the nearest step, but never a non-zero duration down to nothing
+export function roundDuration(hours, stepMinutes) {
+    if (!stepMinutes || !hours) {
+        return hours;
+    }
+
+    const steps = Math.max(1, Math.round((hours * 60) / stepMinutes));
+    return Math.round(((steps * stepMinutes) / 60) * 10000) / 10000;
+}
+
+export function formatHours(hours) {
+    return `${Math.round(hours * 100) / 100}h`;
+}
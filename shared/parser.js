@@ -1,39 +1,116 @@
-import { loadConfig } from './config.js';
+import { loadConfig, DEFAULT_TIMEZONE, DEFAULT_DATE_ORDER } from './config.js';
 import { OpenProjectTimeLogger } from './apiClient.js';
+import { CsvWorkLogImporter } from './csvImporter.js';
+import { TextWorkLogImporter } from './textImporter.js';
+import { TimeTrackerImporter } from './timeTrackerImporter.js';
+import { CalendarImporter } from './calendarImporter.js';
+import { SchemaValidator, loadWorkLogSchema } from './schemaValidator.js';
+import { zonedDateTime, formatZonedDate, formatZonedTime } from './timeZone.js';
+import { parseDuration, roundDuration } from './duration.js';
+import { ActivityRules } from './activityRules.js';
+import { ProjectAliases } from './projectAliases.js';
+
+const FILE_FORMATS = {
+    '.json': 'json',
+    '.csv': 'csv',
+    '.tsv': 'csv',
+    '.md': 'text',
+    '.txt': 'text',
+    '.ics': 'calendar'
+};
+
+export const SUPPORTED_FILE_EXTENSIONS = Object.keys(FILE_FORMATS);
+
+const WEEKDAY_NAMES = {
+    sun: 0,
+    sunday: 0,
+    mon: 1,
+    monday: 1,
+    tue: 2,
+    tues: 2,
+    tuesday: 2,
+    wed: 3,
+    wednesday: 3,
+    thu: 4,
+    thur: 4,
+    thurs: 4,
+    thursday: 4,
+    fri: 5,
+    friday: 5,
+    sat: 6,
+    saturday: 6
+};
+
+export const SKIP_REASONS = {
+    invalid_day: 'Invalid day',
+    invalid_date: 'Invalid date',
+    unknown_profile: 'Unavailable profile',
+    invalid_entry: 'Invalid entry',
+    unknown_project: 'Unknown project',
+    zero_duration: 'Zero duration',
+    scrum_without_work_package: 'Scrum without work package'
+};
+
+export function getWorkLogFileFormat(fileName) {
+    const extension = SUPPORTED_FILE_EXTENSIONS.find(candidate => fileName.toLowerCase().endsWith(candidate));
+    return extension ? FILE_FORMATS[extension] : null;
+}
 
 export class WorkLogParser {
-    constructor(filePath = null) {
+    constructor(filePath = null, apiClientProvider = null) {
         this.filePath = filePath;
         this.projectMappings = null;
+        this.profileConfigs = {};
         this.apiClient = null;
-        this.activityKeywords = {
-            scrum: 'Meeting',
-            meeting: 'Meeting',
-            session: 'Meeting',
-            clarification: 'Meeting',
-            setup: 'Development',
-            enhanced: 'Development',
-            fixed: 'Development',
-            fix: 'Development',
-            route: 'Development',
-            linkup: 'Development',
-            template: 'Development',
-            codes: 'Development',
-            staging: 'Support',
-            server: 'Support',
-            feedback: 'Specification',
-            recruitment: 'Specification',
-            profile: 'Development',
-            view: 'Development'
-        };
+        this.apiClients = {};
+        this.apiClientProvider = apiClientProvider;
+        this.validationErrors = [];
+        this.skipped = [];
+        this.workLog = null;
+        this.dateSettings = { order: DEFAULT_DATE_ORDER, timeZone: DEFAULT_TIMEZONE };
+        this.timeZone = DEFAULT_TIMEZONE;
+        this.durationRounding = 0;
+        this.csvImporter = new CsvWorkLogImporter();
+        this.textImporter = new TextWorkLogImporter(dateStr => this.parseDateString(dateStr));
+        this.timeTrackerImporter = new TimeTrackerImporter(() => this.dateSettings.timeZone);
+        this.calendarImporter = new CalendarImporter(() => this.dateSettings.timeZone);
+        this.activityRules = new ActivityRules();
+        this.activitySettings = { rules: [], learnFromHistory: false };
+        this.activityHistory = [];
+        this.projectAliases = new ProjectAliases();
+        this.aliases = {};
     }
 
     async parseWorkLogFile(file, options = {}) {
-        if (!file.name.toLowerCase().endsWith('.json')) {
-            throw new Error('Only JSON files are supported');
+        const format = getWorkLogFileFormat(file.name);
+        if (!format) {
+            throw new Error(`Only ${SUPPORTED_FILE_EXTENSIONS.join(', ')} files are supported`);
         }
 
+        // Text logs check their dates while being read, before the file's own profile is known
+        await this.loadDateSettings();
+
         const text = await file.text();
+        const timeTrackerExport = this.readTimeTrackerExport(format, text, file.name);
+
+        if (timeTrackerExport) {
+            const data = await this.timeTrackerImporter.buildWorkLog(timeTrackerExport.source, timeTrackerExport.records, options.timeTrackerMapping);
+            return this.parseJsonWorkLogContent(data, options);
+        }
+
+        if (format === 'csv') {
+            const data = await this.csvImporter.buildWorkLog(text, file.name, options.csvMapping);
+            return this.parseJsonWorkLogContent(data, options);
+        }
+
+        if (format === 'calendar') {
+            return this.parseJsonWorkLogContent(this.calendarImporter.buildWorkLog(text, options.calendar), options);
+        }
+
+        if (format === 'text') {
+            return this.parseJsonWorkLogContent(this.textImporter.buildWorkLog(text), options);
+        }
+
         let data;
 
         try {
@@ -45,34 +122,62 @@ export class WorkLogParser {
         return this.parseJsonWorkLogContent(data, options);
     }
 
-    async initializeApiClient() {
-        if (this.apiClient) {
+    readTimeTrackerExport(format, text, fileName) {
+        const importer = this.timeTrackerImporter;
+
+        if (format === 'csv') {
+            const table = this.csvImporter.parseTable(text, fileName);
+            const source = importer.detectCsvSource(table.headers);
+            return source ? { source, records: importer.readCsv(source, table) } : null;
+        }
+
+        if (format === 'json') {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                return null;
+            }
+
+            const source = this.hasValidLogsArray(data) ? null : importer.detectJsonSource(data);
+            return source ? { source, records: importer.readJson(source, data) } : null;
+        }
+
+        return null;
+    }
+
+    async initializeApiClient(profile = null) {
+        if (this.apiClientProvider) {
+            this.apiClient = await this.apiClientProvider(profile);
             return this.apiClient;
         }
 
-        this.apiClient = new OpenProjectTimeLogger();
-        await this.apiClient.initialize();
+        const key = profile || '';
+        if (!this.apiClients[key]) {
+            const apiClient = new OpenProjectTimeLogger(profile);
+            await apiClient.initialize();
+            this.apiClients[key] = apiClient;
+        }
+
+        this.apiClient = this.apiClients[key];
         return this.apiClient;
     }
 
-    async validateAgainstServerDuplicates(entries) {
-        if (!entries || entries.length === 0) {
-            return [];
+    async loadProfileConfig(profile = null) {
+        const key = profile || '';
+        if (!this.profileConfigs[key]) {
+            this.profileConfigs[key] = await loadConfig(profile);
         }
+        return this.profileConfigs[key];
+    }
 
-        const duplicateErrors = [];
-
-        try {
-            await this.initializeApiClient();
-            const entriesByProject = this.groupEntriesByProject(entries);
-            const duplicates = await this.checkProjectDuplicates(entriesByProject);
-            duplicateErrors.push(...duplicates);
-        } catch (error) {
-            console.warn('Could not initialize API client for duplicate checking:', error.message);
+    async validateAgainstServerDuplicates(entries) {
+        if (!entries || entries.length === 0) {
             return [];
         }
 
-        return duplicateErrors;
+        const entriesByProject = this.groupEntriesByProject(entries);
+        return this.checkProjectDuplicates(entriesByProject);
     }
 
     groupEntriesByProject(entries) {
@@ -82,10 +187,12 @@ export class WorkLogParser {
             if (this.shouldCheckForDuplicates(entry)) {
                 const projectId = entry.project_id;
                 if (projectId) {
-                    if (!entriesByProject[projectId]) {
-                        entriesByProject[projectId] = [];
+                    // The same project ID can exist on several servers, so group per profile as well
+                    const groupKey = `${entry.profile || ''}:${projectId}`;
+                    if (!entriesByProject[groupKey]) {
+                        entriesByProject[groupKey] = { profile: entry.profile, projectId, entries: [] };
                     }
-                    entriesByProject[projectId].push({ entry, originalIndex: index });
+                    entriesByProject[groupKey].entries.push({ entry, originalIndex: index });
                 }
             }
         });
@@ -104,12 +211,20 @@ export class WorkLogParser {
 
         console.log(`Checking ${totalProjects} project(s) for duplicate work packages...`);
 
-        for (const [projectId, projectEntries] of Object.entries(entriesByProject)) {
+        for (const { profile, projectId, entries: projectEntries } of Object.values(entriesByProject)) {
             processedProjects++;
-            console.log(`Checking project ${processedProjects}/${totalProjects} (ID: ${projectId})...`);
+            console.log(`Checking project ${processedProjects}/${totalProjects} (ID: ${projectId}, profile: ${profile})...`);
+
+            let apiClient;
+            try {
+                apiClient = await this.initializeApiClient(profile);
+            } catch (error) {
+                console.warn(`Could not initialize API client for duplicate checking on profile '${profile}':`, error.message);
+                continue;
+            }
 
             for (const { entry, originalIndex } of projectEntries) {
-                const duplicate = await this.checkEntryDuplicate(entry, projectId, originalIndex);
+                const duplicate = await this.checkEntryDuplicate(apiClient, entry, projectId, originalIndex);
                 if (duplicate) {
                     duplicateErrors.push(duplicate);
                 }
@@ -119,9 +234,9 @@ export class WorkLogParser {
         return duplicateErrors;
     }
 
-    async checkEntryDuplicate(entry, projectId, originalIndex) {
+    async checkEntryDuplicate(apiClient, entry, projectId, originalIndex) {
         try {
-            const existingWp = await this.apiClient.checkExistingWorkPackageBySubject(projectId, entry.subject);
+            const existingWp = await apiClient.checkExistingWorkPackageBySubject(projectId, entry.subject);
 
             if (!existingWp) {
                 return null;
@@ -132,6 +247,7 @@ export class WorkLogParser {
                 subject: entry.subject,
                 project: entry.project,
                 projectId: projectId,
+                profile: entry.profile,
                 existingWorkPackageId: existingWp.id,
                 existingSubject: existingWp.subject,
                 message: `Work package with subject "${entry.subject}" already exists in project "${entry.project}" (ID: ${existingWp.id}). Use that work package ID or modify the subject.`
@@ -143,9 +259,6 @@ export class WorkLogParser {
     }
 
     async parseJsonWorkLogContent(data, options = {}) {
-        const config = await loadConfig();
-        this.projectMappings = config.PROJECT_MAPPINGS;
-
         const { validateAgainstServer = true, throwOnServerDuplicates = true } = options;
 
         if (!this.hasValidLogsArray(data)) {
@@ -156,12 +269,36 @@ export class WorkLogParser {
             throw new Error("No log entries found in 'logs' array");
         }
 
-        const { allTimeEntries, allEntries } = await this.processLogEntries(data.logs);
+        this.workLog = data;
+        this.skipped = [];
+        this.validationErrors = new SchemaValidator(await loadWorkLogSchema()).validate(data);
+
+        // Problems outside a single day leave nothing that can be processed on its own
+        const fileErrors = this.validationErrors.filter(error => !error.path.startsWith('/logs/'));
+        if (fileErrors.length > 0) {
+            throw new Error(`Invalid work log:\n${fileErrors.map(error => `${error.path || '/'} ${error.message}`).join('\n')}`);
+        }
+
+        this.profileConfigs = {};
+        const defaultConfig = await this.loadProfileConfig(data.profile || null);
+        this.useDateSettings(defaultConfig);
+        await this.loadActivityRules();
+        this.aliases = await this.projectAliases.load();
+
+        const { allTimeEntries, allEntries } = await this.processLogEntries(data.logs, defaultConfig.PROFILE);
 
         if (validateAgainstServer && allEntries.length > 0) {
             await this.addServerDuplicateValidation(allTimeEntries, allEntries);
         }
 
+        if (this.validationErrors.length > 0) {
+            allTimeEntries._validationErrors = this.validationErrors.map(error => ({ ...error, context: this.describeErrorLocation(data, error.path) }));
+        }
+
+        if (this.skipped.length > 0) {
+            allTimeEntries._skipped = this.skipped;
+        }
+
         return allTimeEntries;
     }
 
@@ -169,23 +306,61 @@ export class WorkLogParser {
         return data.logs && Array.isArray(data.logs);
     }
 
-    async processLogEntries(logs) {
+    hasValidationError(pointer, ignoredPrefix = null) {
+        return this.validationErrors.some(error => error.path === pointer || (error.path.startsWith(`${pointer}/`) && !(ignoredPrefix && error.path.startsWith(ignoredPrefix))));
+    }
+
+    addValidationError(path, message) {
+        if (!this.hasValidationError(path)) {
+            this.validationErrors.push({ path, message });
+        }
+    }
+
+    // Keeps the original day or entry so it can be corrected and parsed again
+    skipItem(code, path, data) {
+        this.skipped.push({
+            code,
+            reason: SKIP_REASONS[code],
+            path,
+            context: this.describeErrorLocation(this.workLog, path),
+            errors: this.validationErrors.filter(error => error.path === path || error.path.startsWith(`${path}/`)),
+            data,
+            ...(code === 'unknown_project' ? { projectSuggestions: this.suggestProjects(data.project) } : {})
+        });
+    }
+
+    // Names the day and entry an error belongs to so it can be found without counting array positions
+    describeErrorLocation(data, path) {
+        const match = path.match(/^\/logs\/(\d+)(?:\/entries\/(\d+))?/);
+        const log = match ? data.logs[match[1]] : null;
+        if (!log || typeof log !== 'object') return '';
+
+        const entry = match[2] !== undefined && Array.isArray(log.entries) ? log.entries[match[2]] : null;
+        const subject = entry && typeof entry.subject === 'string' ? entry.subject.trim() : '';
+        return [typeof log.date === 'string' ? log.date : '', subject].filter(part => part).join(' – ');
+    }
+
+    async processLogEntries(logs, defaultProfile) {
         const allTimeEntries = {};
         const allEntries = [];
 
         for (let logIndex = 0; logIndex < logs.length; logIndex++) {
             const logEntry = logs[logIndex];
+            const logPointer = `/logs/${logIndex}`;
 
-            if (!logEntry.date) {
-                console.warn(`Log entry ${logIndex + 1} missing 'date' field, skipping`);
+            // Entry errors only drop that entry; anything else about the day drops the whole day
+            if (this.hasValidationError(logPointer, `${logPointer}/entries/`)) {
+                const onlyDateErrors = this.validationErrors.filter(error => error.path.startsWith(logPointer) && !error.path.startsWith(`${logPointer}/entries/`)).every(error => error.path === `${logPointer}/date`);
+                this.skipItem(onlyDateErrors ? 'invalid_date' : 'invalid_day', logPointer, logEntry);
                 continue;
             }
 
-            const result = await this.processLogEntry(logEntry, logIndex);
+            const result = await this.processLogEntry(logEntry, logPointer, logEntry.profile || defaultProfile);
             if (result) {
                 const { parsedDate, timeEntries } = result;
                 if (timeEntries.length > 0) {
-                    allTimeEntries[parsedDate] = timeEntries;
+                    // Several logs may share a date when they target different profiles
+                    allTimeEntries[parsedDate] = [...(allTimeEntries[parsedDate] || []), ...timeEntries];
                     allEntries.push(...timeEntries);
                 }
             }
@@ -194,55 +369,83 @@ export class WorkLogParser {
         return { allTimeEntries, allEntries };
     }
 
-    async processLogEntry(logEntry, logIndex) {
+    async processLogEntry(logEntry, logPointer, profile) {
         const dateStr = logEntry.date;
         let parsedDate;
 
         try {
-            parsedDate = this.parseDateString(dateStr);
+            const profileConfig = await this.loadProfileConfig(profile);
+            this.projectMappings = profileConfig.PROJECT_MAPPINGS;
+            // Times are computed on the clock of the server profile the day is logged to
+            this.timeZone = profileConfig.DEFAULT_TIMEZONE || this.dateSettings.timeZone;
+            this.durationRounding = profileConfig.DURATION_ROUNDING || 0;
         } catch (e) {
-            console.warn(`Log entry ${logIndex + 1} has invalid date format '${dateStr}': ${e.message}`);
+            this.addValidationError(`${logPointer}/profile`, `'${profile}' is not an available profile: ${e.message}`);
+            this.skipItem('unknown_profile', logPointer, logEntry);
             return null;
         }
 
-        const entries = logEntry.entries || [];
-        if (!Array.isArray(entries)) {
-            console.warn(`Log entry ${logIndex + 1} 'entries' must be an array, skipping`);
+        try {
+            parsedDate = this.parseDateString(dateStr);
+        } catch (e) {
+            this.addValidationError(`${logPointer}/date`, e.message);
+            this.skipItem('invalid_date', logPointer, logEntry);
             return null;
         }
 
-        const timeEntries = await this.processDateEntries(entries, dateStr, parsedDate);
+        const timeEntries = await this.processDateEntries(logEntry.entries || [], `${logPointer}/entries`, parsedDate, profile);
         return { parsedDate, timeEntries };
     }
 
-    async processDateEntries(entries, dateStr, parsedDate) {
+    async processDateEntries(entries, entriesPointer, parsedDate, profile = null) {
         const timeEntries = [];
-        let currentTime = new Date();
-        currentTime.setHours(9, 0, 0, 0);
+        const dayStart = zonedDateTime(parsedDate, '09:00', this.timeZone);
 
         for (let entryIndex = 0; entryIndex < entries.length; entryIndex++) {
-            const entryData = entries[entryIndex];
-            const validationErrors = this.validateEntryData(entryData, entryIndex + 1);
-
-            if (validationErrors.length > 0) {
-                this.logValidationErrors(dateStr, entryIndex + 1, validationErrors);
+            const entryPointer = `${entriesPointer}/${entryIndex}`;
+            const projectMatch = this.resolveProject(entries[entryIndex]?.project);
+            // Aliases and differently written keys are logged to the mapped project; the file keeps its own spelling
+            const entryData = projectMatch && projectMatch.via !== 'exact' ? { ...entries[entryIndex], project: projectMatch.project } : entries[entryIndex];
+
+            const skipReason = this.hasValidationError(entryPointer) ? 'invalid_entry' : this.getEntrySkipReason(entryData, entryPointer);
+            if (skipReason) {
+                this.skipItem(skipReason, entryPointer, entries[entryIndex]);
                 continue;
             }
 
-            const entry = await this.parseJsonTaskEntry(entryData, currentTime, parsedDate);
+            const entry = await this.parseJsonTaskEntry(entryData, dayStart, parsedDate, profile);
             if (entry) {
+                if (entryData !== entries[entryIndex]) {
+                    entry.project_alias = { name: entries[entryIndex].project, via: projectMatch.via, path: `${entryPointer}/project` };
+                }
                 timeEntries.push(entry);
-                currentTime = new Date(entry.end_time);
             }
         }
 
+        this.chainAroundAnchors(timeEntries, dayStart);
         return timeEntries;
     }
 
-    logValidationErrors(dateStr, entryIndex, validationErrors) {
-        console.error(`Validation errors for log date ${dateStr}, entry ${entryIndex}:`);
-        validationErrors.forEach(error => console.error(`  - ${error}`));
-        console.error('Skipping this entry due to validation errors.');
+    // Entries with a start_time or end_time keep it; the others follow each other from the start of the day and skip past any anchored entry they would overlap
+    chainAroundAnchors(timeEntries, dayStart) {
+        const anchors = timeEntries.filter(entry => !entry.is_scrum && entry.fixed_start_time);
+        let currentTime = dayStart.getTime();
+
+        timeEntries
+            .filter(entry => !entry.is_scrum && !entry.fixed_start_time)
+            .forEach(entry => {
+                const duration = entry.hours * 60 * 60 * 1000;
+                let start = currentTime + entry.break_minutes * 60 * 1000;
+                let blockingEntry;
+
+                while ((blockingEntry = anchors.find(anchor => start < Date.parse(anchor.end_time) && Date.parse(anchor.start_time) < start + duration))) {
+                    start = Date.parse(blockingEntry.end_time);
+                }
+
+                entry.start_time = new Date(start).toISOString();
+                entry.end_time = new Date(start + duration).toISOString();
+                currentTime = start + duration;
+            });
     }
 
     async addServerDuplicateValidation(allTimeEntries, allEntries) {
@@ -254,24 +457,139 @@ export class WorkLogParser {
         }
     }
 
+    async loadDateSettings(profile = null) {
+        this.profileConfigs = {};
+        this.useDateSettings(await this.loadProfileConfig(profile));
+    }
+
+    useDateSettings(profileConfig) {
+        this.dateSettings = {
+            order: profileConfig.DATE_ORDER || DEFAULT_DATE_ORDER,
+            timeZone: profileConfig.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE
+        };
+    }
+
+    // Returns the date as YYYY-MM-DD
     parseDateString(dateStr) {
-        const monthNames = this.getMonthNames();
-        const pattern = /^(\w+)-(\d{1,2})-(\d{4})$/;
-        const match = dateStr.toLowerCase().match(pattern);
+        const value = String(dateStr).trim().toLowerCase();
+        const parsed = this.parseRelativeDate(value) || this.parseIsoDate(value) || this.parseNumericDate(value) || this.parseNamedDate(value, dateStr);
+
+        if (!parsed) {
+            throw new Error(`Date '${dateStr}' is not in an accepted format. Use ${this.describeDateFormats()}`);
+        }
+
+        return parsed;
+    }
 
+    describeDateFormats() {
+        const numeric = this.dateSettings.order === 'MDY' ? "month/day/year ('11/10/2025')" : "day/month/year ('10/11/2025')";
+        return `month-day-year ('nov-10-2025'), ISO 8601 ('2025-11-10'), ${numeric}, a day and month name ('Mon 10 Nov', '10 Nov 2025'), 'today', 'yesterday' or 'last-friday'`;
+    }
+
+    // Relative keywords count from the current day in the profile's time zone
+    parseRelativeDate(value) {
+        const today = this.getToday();
+
+        if (value === 'today') {
+            return this.formatUtcDate(today);
+        }
+        if (value === 'yesterday') {
+            return this.formatUtcDate(this.addDays(today, -1));
+        }
+
+        const match = value.match(/^last[\s-]+([a-z]+)$/);
+        if (!match || !(match[1] in WEEKDAY_NAMES)) {
+            return null;
+        }
+
+        // "last-friday" on a Friday means the week before
+        const daysBack = (today.getUTCDay() - WEEKDAY_NAMES[match[1]] + 7) % 7 || 7;
+        return this.formatUtcDate(this.addDays(today, -daysBack));
+    }
+
+    parseIsoDate(value) {
+        const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:t[\d:.]+(?:z|[+-]\d{2}:?\d{2})?)?$/);
+        return match ? this.buildDateString(match[1], match[2], match[3], match[2]) : null;
+    }
+
+    parseNumericDate(value) {
+        const match = value.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})$/);
         if (!match) {
-            throw new Error(`Date must be in format 'month-day-year' (e.g., 'sept-07-2025'), got '${dateStr}'`);
+            return null;
         }
 
-        const [, monthStr, day, year] = match;
-        const month = monthNames[monthStr.toLowerCase()];
+        const [, first, , second, year] = match;
+        const [month, day] = this.dateSettings.order === 'MDY' ? [first, second] : [second, first];
+        return this.buildDateString(year, month, day, month);
+    }
+
+    // Covers nov-10-2025 as well as spreadsheet styles such as "Mon 10 Nov" and "November 10th, 2025"
+    parseNamedDate(value, dateStr) {
+        const tokens = value.split(/[\s,./-]+/).filter(token => token);
+        const weekday = tokens.length > 0 && tokens[0] in WEEKDAY_NAMES ? WEEKDAY_NAMES[tokens.shift()] : null;
+        const isDay = token => /^\d{1,2}(?:st|nd|rd|th)?$/.test(token || '');
+        const isWord = token => /^[a-z]+$/.test(token || '');
+        let monthStr, day, year;
 
+        if (tokens.length < 2 || tokens.length > 3) {
+            return null;
+        }
+        if (isDay(tokens[0]) && isWord(tokens[1])) {
+            [day, monthStr, year] = tokens;
+        } else if (isWord(tokens[0]) && isDay(tokens[1])) {
+            [monthStr, day, year] = tokens;
+        } else {
+            return null;
+        }
+        if (year !== undefined && !/^\d{4}$/.test(year)) {
+            return null;
+        }
+
+        const monthNames = this.getMonthNames();
+        const month = monthNames[monthStr];
         if (!month) {
             const availableMonths = [...new Set(Object.keys(monthNames))].sort();
             throw new Error(`Invalid month '${monthStr}'. Available: ${availableMonths.join(', ')}`);
         }
 
-        return this.buildDateString(year, month, day, monthStr);
+        day = parseInt(day);
+        const date = year ? this.buildDateString(year, month, day, monthStr) : this.buildDateWithoutYear(month, day, weekday, monthStr);
+
+        if (weekday !== null && new Date(`${date}T00:00:00Z`).getUTCDay() !== weekday) {
+            throw new Error(`Invalid date: ${dateStr} - ${date} is a ${new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })}`);
+        }
+
+        return date;
+    }
+
+    // Without a year the closest matching date to today is used, so "Mon 29 Dec" logged in January means last year
+    buildDateWithoutYear(month, day, weekday, monthStr) {
+        const today = this.getToday();
+        const thisYear = today.getUTCFullYear();
+        const candidates = [thisYear - 1, thisYear, thisYear + 1]
+            .map(year => new Date(Date.UTC(year, month - 1, day)))
+            .filter(date => date.getUTCDate() === day && (weekday === null || date.getUTCDay() === weekday))
+            .sort((a, b) => Math.abs(a - today) - Math.abs(b - today));
+
+        if (candidates.length === 0) {
+            return this.buildDateString(thisYear, month, day, monthStr);
+        }
+
+        return this.formatUtcDate(candidates[0]);
+    }
+
+    getToday() {
+        return new Date(`${formatZonedDate(Date.now(), this.dateSettings.timeZone)}T00:00:00Z`);
+    }
+
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result;
+    }
+
+    formatUtcDate(date) {
+        return date.toISOString().slice(0, 10);
     }
 
     getMonthNames() {
@@ -342,76 +660,29 @@ export class WorkLogParser {
         }
     }
 
-    validateEntryData(entryData, entryIndex = null) {
-        const errors = [];
-        const prefix = entryIndex ? `Entry ${entryIndex}: ` : 'Entry: ';
-
-        this.validateRequiredFields(entryData, prefix, errors);
-        this.validateProjectMapping(entryData, prefix, errors);
-        this.validateFieldTypes(entryData, prefix, errors);
-
-        return errors;
-    }
-
-    validateRequiredFields(entryData, prefix, errors) {
-        const requiredFields = ['project', 'subject', 'duration_hours', 'activity', 'is_scrum'];
-
-        for (const field of requiredFields) {
-            if (!(field in entryData)) {
-                errors.push(`${prefix}Missing required field '${field}'`);
-            } else if (entryData[field] === null || entryData[field] === undefined) {
-                errors.push(`${prefix}Field '${field}' cannot be null`);
-            }
-        }
-    }
-
-    validateProjectMapping(entryData, prefix, errors) {
-        if (!entryData.project || !this.projectMappings) {
-            return;
-        }
-
-        if (!(entryData.project in this.projectMappings)) {
-            const allowedProjects = Object.keys(this.projectMappings);
-            errors.push(`${prefix}Invalid project '${entryData.project}'. Allowed values: ${allowedProjects.join(', ')}`);
-        }
-    }
-
-    validateFieldTypes(entryData, prefix, errors) {
-        if (entryData.subject !== undefined) {
-            if (typeof entryData.subject !== 'string' || !entryData.subject.trim()) {
-                errors.push(`${prefix}Field 'subject' must be a non-empty string`);
-            }
-        }
-
-        if (entryData.duration_hours !== undefined) {
-            const duration = parseFloat(entryData.duration_hours);
-            if (isNaN(duration) || duration <= 0) {
-                errors.push(`${prefix}Field 'duration_hours' must be a number greater than 0`);
-            }
+    // Entries that match the schema can still be impossible to log
+    getEntrySkipReason(entryData, entryPointer) {
+        if (this.projectMappings && !(entryData.project in this.projectMappings)) {
+            const suggestions = this.suggestProjects(entryData.project);
+            const hint = suggestions.length > 0 ? `Did you mean ${suggestions.join(' or ')}?` : `Allowed values: ${Object.keys(this.projectMappings).join(', ')}`;
+            this.addValidationError(`${entryPointer}/project`, `'${entryData.project}' is not a mapped project. ${hint}`);
+            return 'unknown_project';
         }
 
-        if (entryData.is_scrum !== undefined) {
-            if (typeof entryData.is_scrum !== 'boolean') {
-                errors.push(`${prefix}Field 'is_scrum' must be a boolean (true or false)`);
-            }
+        if (this.parseDurationHours(entryData.duration_hours) === 0) {
+            this.addValidationError(`${entryPointer}/duration_hours`, 'must be more than 0 hours');
+            return 'zero_duration';
         }
 
-        if (entryData.break_hours !== undefined && entryData.break_hours !== null) {
-            const breakHours = parseFloat(entryData.break_hours);
-            if (isNaN(breakHours) || breakHours < 0) {
-                errors.push(`${prefix}Field 'break_hours' must be a number 0 or greater, or null`);
-            }
+        if (entryData.is_scrum && !entryData.work_package_id) {
+            this.addValidationError(`${entryPointer}/work_package_id`, 'is required for scrum entries, which log time on an existing work package');
+            return 'scrum_without_work_package';
         }
 
-        if (entryData.work_package_id !== undefined && entryData.work_package_id !== null) {
-            const wpId = parseInt(entryData.work_package_id);
-            if (isNaN(wpId) || wpId <= 0) {
-                errors.push(`${prefix}Field 'work_package_id' must be a positive integer or null`);
-            }
-        }
+        return null;
     }
 
-    async parseJsonTaskEntry(entryData, startTime, entryDate) {
+    async parseJsonTaskEntry(entryData, startTime, entryDate, profile = null) {
         const { project, subject, description, activity, work_package_id, is_scrum } = entryData;
         const taskSubject = subject || description;
 
@@ -419,27 +690,32 @@ export class WorkLogParser {
             return null;
         }
 
-        const durationHours = this.parseDurationHours(entryData.duration_hours);
-        if (durationHours === 0) {
+        const parsedHours = this.parseDurationHours(entryData.duration_hours);
+        if (parsedHours === 0) {
             return null;
         }
 
+        const durationHours = roundDuration(parsedHours, this.durationRounding);
         const isScrum = !!is_scrum;
-        const breakHours = entryData.break_hours || 0;
+        const breakHours = this.parseDurationHours(entryData.break_hours);
         const breakMinutes = breakHours ? Math.round(breakHours * 60) : 0;
 
-        const actualStartTime = this.calculateStartTime(isScrum, startTime, breakMinutes);
+        const fixedEndTime = entryData.end_time ? this.parseClockTime(entryData.end_time) : null;
+        const fixedStartTime = this.getFixedStartTime(entryData, fixedEndTime, durationHours, entryDate);
+        const actualStartTime = fixedStartTime ? zonedDateTime(entryDate, fixedStartTime, this.timeZone) : this.calculateStartTime(isScrum, startTime, breakMinutes, entryDate);
 
         if (isScrum && !work_package_id) {
             return null;
         }
 
         const endTime = new Date(actualStartTime.getTime() + durationHours * 60 * 60 * 1000);
-        const taskActivity = activity || this.determineActivity(taskSubject);
+        const activityMatch = activity ? null : this.determineActivity(taskSubject, project);
+        const taskActivity = activity || activityMatch.activity;
 
         return {
             project,
-            work_package_id: work_package_id,
+            // Numeric strings like "10767" are accepted by the schema and sent as numbers
+            work_package_id: typeof work_package_id === 'string' ? parseInt(work_package_id) : work_package_id,
             project_id: this.projectMappings ? this.projectMappings[project] : null,
             subject: taskSubject,
             activity: taskActivity,
@@ -449,40 +725,67 @@ export class WorkLogParser {
             break_minutes: breakMinutes,
             break_hours: breakHours,
             is_scrum: isScrum,
-            entry_date: entryDate
+            entry_date: entryDate,
+            profile,
+            time_zone: this.timeZone,
+            ...(fixedStartTime ? { fixed_start_time: fixedStartTime } : {}),
+            ...(fixedEndTime ? { fixed_end_time: fixedEndTime } : {}),
+            ...(activityMatch ? { activity_source: activityMatch } : {}),
+            // Kept so the analysis step can show what was rounded
+            ...(durationHours !== parsedHours ? { duration_rounded_from: parsedHours, duration_rounding: this.durationRounding } : {})
         };
     }
 
-    parseDurationHours(durationHours) {
-        if (!durationHours) {
-            return 0;
+    // An end_time on its own anchors the entry too, counting the duration back from it
+    getFixedStartTime(entryData, fixedEndTime, durationHours, entryDate) {
+        if (entryData.start_time) {
+            return this.parseClockTime(entryData.start_time);
+        }
+        if (!fixedEndTime) {
+            return null;
         }
 
-        if (typeof durationHours === 'string') {
-            return parseFloat(durationHours.replace('h', '')) || 0;
+        const start = zonedDateTime(entryDate, fixedEndTime, this.timeZone).getTime() - durationHours * 60 * 60 * 1000;
+        return formatZonedTime(start, this.timeZone);
+    }
+
+    parseClockTime(value) {
+        const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+            return null;
         }
 
-        return parseFloat(durationHours) || 0;
+        return `${match[1].padStart(2, '0')}:${match[2]}`;
     }
 
-    calculateStartTime(isScrum, startTime, breakMinutes) {
+    parseDurationHours(durationHours) {
+        return parseDuration(durationHours) || 0;
+    }
+
+    calculateStartTime(isScrum, startTime, breakMinutes, entryDate) {
         if (isScrum) {
-            const scrumStartTime = new Date(startTime);
-            scrumStartTime.setHours(10, 0, 0, 0);
-            return scrumStartTime;
+            return zonedDateTime(entryDate, '10:00', this.timeZone);
         }
 
         return new Date(startTime.getTime() + breakMinutes * 60 * 1000);
     }
 
-    determineActivity(taskDescription) {
-        const taskLower = taskDescription.toLowerCase();
-        for (const [keyword, activity] of Object.entries(this.activityKeywords)) {
-            if (taskLower.includes(keyword)) {
-                return activity;
-            }
-        }
-        return 'Development';
+    async loadActivityRules() {
+        this.activitySettings = await this.activityRules.loadSettings();
+        this.activityHistory = this.activitySettings.learnFromHistory ? await this.activityRules.loadHistory() : [];
+    }
+
+    resolveProject(name) {
+        return this.projectMappings ? this.projectAliases.resolve(name, this.projectMappings, this.aliases) : null;
+    }
+
+    suggestProjects(name) {
+        return this.projectMappings ? this.projectAliases.suggest(name, this.projectMappings) : [];
+    }
+
+    // Only used when an entry leaves its activity empty
+    determineActivity(taskDescription, project = null) {
+        return this.activityRules.resolve(taskDescription, project, this.activitySettings, this.activityHistory);
     }
 
     getDateFromFilename(filePath) {
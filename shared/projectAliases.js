@@ -0,0 +1,97 @@
+const PROJECT_ALIASES_STORAGE_KEY = 'projectAliases';
+const SUGGESTION_THRESHOLD = 0.6;
+const MAX_SUGGESTIONS = 3;
+
+export class ProjectAliases {
+    // Alias (lowercase) -> project key of PROJECT_MAPPINGS
+    async load() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([PROJECT_ALIASES_STORAGE_KEY], result => {
+                resolve(result[PROJECT_ALIASES_STORAGE_KEY] || {});
+            });
+        });
+    }
+
+    async save(aliases) {
+        const normalized = {};
+        Object.entries(aliases).forEach(([alias, project]) => {
+            if (this.normalizeAlias(alias) && project) normalized[this.normalizeAlias(alias)] = project;
+        });
+
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [PROJECT_ALIASES_STORAGE_KEY]: normalized }, () => resolve(normalized));
+        });
+    }
+
+    async add(alias, project) {
+        return this.save({ ...(await this.load()), [alias]: project });
+    }
+
+    normalizeAlias(alias) {
+        return String(alias || '')
+            .trim()
+            .toLowerCase();
+    }
+
+    // The exact key first, then the same key written differently (case, spaces, dashes), then an alias pointing at a mapped project
+    resolve(name, projectMappings, aliases = {}) {
+        if (typeof name !== 'string' || !name.trim()) return null;
+        if (name in projectMappings) return { project: name, via: 'exact' };
+
+        const compact = this.compact(name);
+        const sameKey = Object.keys(projectMappings).find(project => this.compact(project) === compact);
+        if (sameKey) return { project: sameKey, via: 'spelling' };
+
+        const aliased = aliases[this.normalizeAlias(name)];
+        if (aliased && aliased in projectMappings) return { project: aliased, via: 'alias' };
+
+        return null;
+    }
+
+    // Mapped projects close to an unknown name, best first
+    suggest(name, projectMappings) {
+        if (typeof name !== 'string' || !name.trim()) return [];
+
+        return Object.keys(projectMappings)
+            .map(project => ({ project, score: this.similarity(name, project) }))
+            .filter(candidate => candidate.score >= SUGGESTION_THRESHOLD)
+            .sort((a, b) => b.score - a.score || a.project.length - b.project.length)
+            .slice(0, MAX_SUGGESTIONS)
+            .map(candidate => candidate.project);
+    }
+
+    // The better of two scores: every word of the name found in the project (a prefix counts a bit less), or the edit distance of the whole names
+    similarity(name, project) {
+        const words = this.getWords(name);
+        const projectWords = this.getWords(project);
+        const wordScore = words.length > 0 ? words.reduce((score, word) => score + (projectWords.includes(word) ? 1 : projectWords.some(projectWord => projectWord.startsWith(word)) ? 0.8 : 0), 0) / words.length : 0;
+
+        const a = this.compact(name);
+        const b = this.compact(project);
+        const editScore = 1 - this.editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+        return Math.max(wordScore, editScore);
+    }
+
+    getWords(name) {
+        return name.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    compact(name) {
+        return name.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    }
+
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
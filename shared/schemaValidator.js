@@ -0,0 +1,121 @@
+export const WORK_LOG_SCHEMA_PATH = 'schemas/work-log.v1.schema.json';
+
+let workLogSchema = null;
+
+export async function loadWorkLogSchema() {
+    if (!workLogSchema) {
+        const response = await fetch(chrome.runtime.getURL(WORK_LOG_SCHEMA_PATH));
+        if (!response.ok) {
+            throw new Error(`Could not load the work log schema (${response.status})`);
+        }
+        workLogSchema = await response.json();
+    }
+    return workLogSchema;
+}
+
+// Covers the JSON Schema keywords the work log schema uses; errors point at the offending value with a JSON pointer
+export class SchemaValidator {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    validate(data) {
+        const errors = [];
+        this.validateNode(data, this.schema, '', errors);
+        return errors;
+    }
+
+    validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            this.validateNode(value, this.resolveRef(schema.$ref), path, errors);
+            return;
+        }
+
+        if (schema.anyOf) {
+            if (!schema.anyOf.some(option => this.matches(value, option))) {
+                errors.push({ path, message: `must be ${schema.anyOf.map(option => this.describe(option)).join(' or ')}` });
+            }
+            return;
+        }
+
+        if (schema.type && !this.hasType(value, schema.type)) {
+            errors.push({ path, message: `must be ${this.describe(schema)}` });
+            return;
+        }
+
+        const errorCount = errors.length;
+        this.validateValue(value, schema, path, errors);
+        if (errors.length > errorCount) {
+            return;
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => this.validateNode(item, schema.items, `${path}/${index}`, errors));
+        } else if (this.isObject(value)) {
+            (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push({ path: `${path}/${this.escapePointer(key)}`, message: 'is required' }));
+
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) {
+                    this.validateNode(value[key], propertySchema, `${path}/${this.escapePointer(key)}`, errors);
+                }
+            });
+        }
+    }
+
+    validateValue(value, schema, path, errors) {
+        const fail = () => errors.push({ path, message: `must be ${this.describe(schema)}` });
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) fail();
+            else if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail();
+        } else if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail();
+            else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail();
+        } else if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+    }
+
+    matches(value, schema) {
+        const errors = [];
+        this.validateNode(value, schema, '', errors);
+        return errors.length === 0;
+    }
+
+    hasType(value, type) {
+        return [].concat(type).some(candidate => {
+            if (candidate === 'null') return value === null;
+            if (candidate === 'array') return Array.isArray(value);
+            if (candidate === 'object') return this.isObject(value);
+            if (candidate === 'integer') return Number.isInteger(value);
+            if (candidate === 'number') return typeof value === 'number' && isFinite(value);
+            return typeof value === candidate;
+        });
+    }
+
+    describe(schema) {
+        if (schema.$ref) return this.describe(this.resolveRef(schema.$ref));
+        if (schema.title) return schema.title;
+
+        const type = [].concat(schema.type || 'valid');
+        const article = name => (['array', 'integer', 'object'].includes(name) ? 'an' : 'a');
+        return type.map(name => (name === 'null' ? 'null' : `${article(name)} ${name}`)).join(' or ');
+    }
+
+    resolveRef(ref) {
+        // Only local references such as #/$defs/entry are needed
+        return ref
+            .replace(/^#\/?/, '')
+            .split('/')
+            .filter(part => part)
+            .reduce((node, part) => node[part.replace(/~1/g, '/').replace(/~0/g, '~')], this.schema);
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+}
@@ -0,0 +1,104 @@
+import { formatZonedTime, getBrowserTimeZone } from './timeZone.js';
+
+const LEDGER_STORAGE_KEY = 'submissionLedger';
+const LEDGER_RETENTION_DAYS = 365;
+
+export class SubmissionLedger {
+    async load() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([LEDGER_STORAGE_KEY], result => {
+                resolve(result[LEDGER_STORAGE_KEY] || {});
+            });
+        });
+    }
+
+    async save(records) {
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [LEDGER_STORAGE_KEY]: records }, () => resolve(true));
+        });
+    }
+
+    getEntryStart(entry) {
+        const start = entry.calculated_start_time || entry.start_time || '';
+        return start.includes('T') ? formatZonedTime(start, entry.time_zone || getBrowserTimeZone()) : start;
+    }
+
+    // The profile is part of the key because two servers can share a project key
+    async computeKey(entry) {
+        const content = JSON.stringify([entry.profile || '', entry.entry_date || entry.date || '', entry.project || '', (entry.subject || '').trim().toLowerCase(), Number(entry.duration_hours || entry.hours || 0), this.getEntryStart(entry)]);
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    async find(entry) {
+        const [records, key] = await Promise.all([this.load(), this.computeKey(entry)]);
+        return records[key] || null;
+    }
+
+    async record(entry, details) {
+        const [records, key] = await Promise.all([this.load(), this.computeKey(entry)]);
+
+        records[key] = {
+            key,
+            timeEntryId: details.timeEntryId,
+            workPackageId: details.workPackageId || null,
+            profile: details.profile || entry.profile || null,
+            source: details.source || 'extension',
+            date: entry.entry_date || entry.date,
+            project: entry.project,
+            subject: entry.subject,
+            activity: entry.activity || null,
+            hours: Number(entry.duration_hours || entry.hours || 0),
+            start: this.getEntryStart(entry),
+            submittedAt: new Date().toISOString()
+        };
+
+        await this.save(this.pruneExpired(records));
+        return records[key];
+    }
+
+    async remove(entry) {
+        const [records, key] = await Promise.all([this.load(), this.computeKey(entry)]);
+
+        if (!records[key]) {
+            return false;
+        }
+
+        delete records[key];
+        await this.save(records);
+        return true;
+    }
+
+    async removeByTimeEntryIds(timeEntryIds, profile = null) {
+        const records = await this.load();
+        const ids = timeEntryIds.map(id => id.toString());
+        let removed = 0;
+
+        Object.entries(records).forEach(([key, record]) => {
+            if (ids.includes(String(record.timeEntryId)) && (!profile || !record.profile || record.profile === profile)) {
+                delete records[key];
+                removed++;
+            }
+        });
+
+        if (removed > 0) {
+            await this.save(records);
+        }
+        return removed;
+    }
+
+    pruneExpired(records) {
+        const cutoff = Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+        Object.entries(records).forEach(([key, record]) => {
+            if (Date.parse(record.submittedAt) < cutoff) {
+                delete records[key];
+            }
+        });
+
+        return records;
+    }
+}
@@ -0,0 +1,143 @@
+import { parseDuration } from './duration.js';
+
+const DATE_HEADING_PATTERN = /^##\s+(.+?)\s*#*$/;
+const OTHER_HEADING_PATTERN = /^(?:#|#{3,6})\s/;
+const PROFILE_PATTERN = /^profile\s*:\s*(.+)$/i;
+const BULLET_PATTERN = /^(?:[-*+]|\d+\.)\s+/;
+const WORK_PACKAGE_PATTERN = /^wp\s*[:#]?\s*(.+)$/i;
+const BREAK_PATTERN = /^break\s*:?\s*(.+)$/i;
+
+export class TextWorkLogImporter {
+    constructor(validateDate = null) {
+        this.validateDate = validateDate;
+    }
+
+    buildWorkLog(text) {
+        const data = { logs: [] };
+        const errors = [];
+        let currentLog = null;
+
+        text.replace(/^\uFEFF/, '')
+            .split(/\r?\n/)
+            .forEach((rawLine, index) => {
+                const lineNumber = index + 1;
+                const line = rawLine.trim();
+
+                // Titles and notes can use any other heading level
+                if (!line || line.startsWith('//') || OTHER_HEADING_PATTERN.test(line)) {
+                    return;
+                }
+
+                const heading = line.match(DATE_HEADING_PATTERN);
+                if (heading) {
+                    currentLog = { date: heading[1].trim(), entries: [] };
+                    data.logs.push(currentLog);
+                    this.checkDate(currentLog.date, lineNumber, errors);
+                    return;
+                }
+
+                const profile = line.match(PROFILE_PATTERN);
+                if (profile) {
+                    (currentLog || data).profile = profile[1].trim();
+                    return;
+                }
+
+                if (!currentLog) {
+                    errors.push(`Line ${lineNumber}: entry appears before the first '## date' heading`);
+                    return;
+                }
+
+                const entry = this.parseEntryLine(line.replace(BULLET_PATTERN, ''), lineNumber, errors);
+                if (entry) {
+                    currentLog.entries.push(entry);
+                }
+            });
+
+        if (errors.length === 0 && data.logs.length === 0) {
+            errors.push("No date headings found - start each day with a line like '## nov-10-2025'");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid log file:\n${errors.join('\n')}`);
+        }
+
+        return data;
+    }
+
+    checkDate(dateStr, lineNumber, errors) {
+        if (!this.validateDate) return;
+
+        try {
+            this.validateDate(dateStr);
+        } catch (e) {
+            errors.push(`Line ${lineNumber}: ${e.message}`);
+        }
+    }
+
+    parseEntryLine(line, lineNumber, errors) {
+        // A literal pipe inside the subject is written as \|
+        const fields = line.split(/(?<!\\)\|/).map(field => field.replace(/\\\|/g, '|').trim());
+        const prefix = `Line ${lineNumber}: `;
+
+        if (fields.length < 3) {
+            errors.push(`${prefix}expected 'project | subject | duration', got ${fields.length} field${fields.length === 1 ? '' : 's'}`);
+            return null;
+        }
+
+        const [project, subject, duration, ...options] = fields;
+        const entry = {
+            project,
+            subject,
+            duration_hours: parseDuration(duration),
+            break_hours: null,
+            activity: '',
+            is_scrum: false,
+            work_package_id: null
+        };
+        const errorCount = errors.length;
+
+        if (!project) errors.push(`${prefix}project is empty`);
+        if (!subject) errors.push(`${prefix}subject is empty`);
+        if (entry.duration_hours === null || entry.duration_hours <= 0) {
+            errors.push(`${prefix}invalid duration '${duration}' - use e.g. 2.5h, 90m, 1h30m or 1:30`);
+        }
+
+        options.filter(option => option).forEach(option => this.applyOption(entry, option, prefix, errors));
+
+        return errors.length === errorCount ? entry : null;
+    }
+
+    applyOption(entry, option, prefix, errors) {
+        const workPackage = option.match(WORK_PACKAGE_PATTERN);
+        if (workPackage) {
+            const wpId = Number(workPackage[1]);
+            if (!Number.isInteger(wpId) || wpId <= 0) {
+                errors.push(`${prefix}invalid work package '${option}' - use e.g. wp:10767`);
+            }
+            entry.work_package_id = wpId;
+            return;
+        }
+
+        const breakTime = option.match(BREAK_PATTERN);
+        if (breakTime) {
+            const breakHours = parseDuration(breakTime[1]);
+            if (breakHours === null) {
+                errors.push(`${prefix}invalid break '${option}' - use e.g. break 15m`);
+            }
+            entry.break_hours = breakHours;
+            return;
+        }
+
+        if (option.toLowerCase() === 'scrum') {
+            entry.is_scrum = true;
+            return;
+        }
+
+        if (entry.activity) {
+            errors.push(`${prefix}unexpected field '${option}' - the activity is already '${entry.activity}'`);
+            return;
+        }
+
+        entry.activity = option;
+    }
+}
@@ -0,0 +1,298 @@
+import { formatLogDate } from './csvImporter.js';
+import { formatZonedDate, formatZonedTime, getBrowserTimeZone } from './timeZone.js';
+
+const TIME_TRACKER_MAPPINGS_STORAGE_KEY = 'timeTrackerMappings';
+
+export const TIME_TRACKER_SOURCES = {
+    toggl: 'Toggl Track',
+    clockify: 'Clockify',
+    harvest: 'Harvest'
+};
+
+export class TimeTrackerImporter {
+    constructor(getTimeZone = getBrowserTimeZone) {
+        this.getTimeZone = getTimeZone;
+    }
+
+    async loadMappings() {
+        return new Promise(resolve => {
+            chrome.storage.local.get([TIME_TRACKER_MAPPINGS_STORAGE_KEY], result => {
+                resolve(result[TIME_TRACKER_MAPPINGS_STORAGE_KEY] || {});
+            });
+        });
+    }
+
+    async getSavedMapping(source) {
+        const mappings = await this.loadMappings();
+        return { projects: {}, activities: {}, ...(mappings[source] || {}) };
+    }
+
+    async saveMapping(source, mapping) {
+        const mappings = await this.loadMappings();
+        const saved = mappings[source] || {};
+
+        // Merge so mappings learned from earlier exports are kept
+        mappings[source] = {
+            projects: { ...(saved.projects || {}), ...mapping.projects },
+            activities: { ...(saved.activities || {}), ...mapping.activities }
+        };
+
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [TIME_TRACKER_MAPPINGS_STORAGE_KEY]: mappings }, () => resolve(true));
+        });
+    }
+
+    detectCsvSource(headers) {
+        const normalized = headers.map(header => header.toLowerCase());
+        const hasAll = names => names.every(name => normalized.includes(name));
+
+        if (hasAll(['start date', 'start time', 'duration (decimal)'])) return 'clockify';
+        if (hasAll(['start date', 'start time', 'end time', 'duration', 'description'])) return 'toggl';
+        if (hasAll(['date', 'project', 'notes', 'hours'])) return 'harvest';
+        return null;
+    }
+
+    detectJsonSource(data) {
+        const items = Array.isArray(data) ? data : data?.timeentries || data?.time_entries || data?.data;
+        const first = Array.isArray(items) ? items[0] : null;
+
+        if (!first || typeof first !== 'object') return null;
+        if (first.timeInterval) return 'clockify';
+        if (first.spent_date !== undefined) return 'harvest';
+        if (first.start && (first.stop !== undefined || first.end !== undefined)) return 'toggl';
+        return null;
+    }
+
+    readCsv(source, { headers, rows }) {
+        const lookup = headers.map(header => header.toLowerCase());
+        const column = (row, name) => (row[lookup.indexOf(name)] || '').trim();
+
+        return rows.map(row => {
+            const tags = column(row, 'tags')
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(tag => tag);
+
+            if (source === 'harvest') {
+                return this.buildRecord({
+                    date: this.parseDate(column(row, 'date')),
+                    hours: parseFloat(column(row, 'hours')),
+                    description: column(row, 'notes'),
+                    project: column(row, 'project'),
+                    client: column(row, 'client'),
+                    task: column(row, 'task'),
+                    tags
+                });
+            }
+
+            const start = this.parseTime(column(row, 'start time'));
+            const end = this.parseTime(column(row, 'end time'));
+            const exportedHours = source === 'clockify' ? parseFloat(column(row, 'duration (decimal)')) : this.parseClockDuration(column(row, 'duration'));
+
+            return this.buildRecord({
+                date: this.parseDate(column(row, 'start date')),
+                start,
+                end,
+                hours: this.getSpanHours(start, end) ?? exportedHours,
+                description: column(row, 'description'),
+                project: column(row, 'project'),
+                client: column(row, 'client'),
+                task: column(row, 'task'),
+                tags
+            });
+        });
+    }
+
+    readJson(source, data) {
+        const items = Array.isArray(data) ? data : data.timeentries || data.time_entries || data.data;
+
+        return items.map(item => {
+            if (source === 'harvest') {
+                const start = this.parseTime(item.started_time || '');
+                const end = this.parseTime(item.ended_time || '');
+                return this.buildRecord({
+                    date: this.parseDate(item.spent_date || ''),
+                    start,
+                    end,
+                    hours: parseFloat(item.hours),
+                    description: item.notes || '',
+                    project: item.project?.name || '',
+                    client: item.client?.name || '',
+                    task: item.task?.name || '',
+                    tags: []
+                });
+            }
+
+            if (source === 'clockify') {
+                return this.buildTimestampRecord(item.timeInterval?.start, item.timeInterval?.end, {
+                    description: item.description || '',
+                    project: item.projectName || item.project?.name || '',
+                    client: item.clientName || item.project?.clientName || '',
+                    task: item.taskName || item.task?.name || '',
+                    tags: (item.tags || []).map(tag => tag.name || tag)
+                });
+            }
+
+            return this.buildTimestampRecord(item.start, item.stop || item.end, {
+                description: item.description || '',
+                project: item.project || item.project_name || (item.project_id ? `#${item.project_id}` : ''),
+                client: item.client || item.client_name || '',
+                task: item.task || item.task_name || '',
+                tags: item.tags || []
+            });
+        });
+    }
+
+    buildTimestampRecord(startIso, endIso, fields) {
+        const start = startIso ? new Date(startIso) : null;
+        const end = endIso ? new Date(endIso) : null;
+
+        if (!start || isNaN(start)) {
+            return this.buildRecord({ ...fields, date: null, hours: 0 });
+        }
+
+        // Timestamps are read on the profile's clock, like the rest of the work log
+        const timeZone = this.getTimeZone();
+        const startTime = formatZonedTime(start, timeZone);
+        const endTime = end && !isNaN(end) ? formatZonedTime(end, timeZone) : null;
+        const [year, month, day] = formatZonedDate(start, timeZone).split('-');
+
+        return this.buildRecord({
+            ...fields,
+            date: formatLogDate(year, month, day),
+            start: startTime,
+            end: endTime,
+            // Running timers have no end yet, so they get no duration and show up as skipped
+            hours: end && !isNaN(end) ? (end - start) / 3600000 : 0
+        });
+    }
+
+    buildRecord({ date, start = null, end = null, hours, description, project, client, task, tags }) {
+        return {
+            date,
+            start,
+            end,
+            hours: isNaN(hours) ? 0 : Math.round(hours * 60) / 60,
+            description,
+            project,
+            client,
+            task,
+            tags,
+            projectKey: client && project ? `${client} / ${project}` : project || '(no project)'
+        };
+    }
+
+    getSpanHours(start, end) {
+        if (!start || !end) return null;
+
+        const toMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+        let minutes = toMinutes(end) - toMinutes(start);
+        if (minutes < 0) {
+            minutes += 24 * 60;
+        }
+
+        return minutes / 60;
+    }
+
+    // Exports write dates as YYYY-MM-DD or, for US workspace settings, MM/DD/YYYY
+    parseDate(value) {
+        const isoMatch = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (isoMatch) {
+            return formatLogDate(isoMatch[1], isoMatch[2], isoMatch[3]);
+        }
+
+        const usMatch = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (usMatch) {
+            return formatLogDate(usMatch[3], usMatch[1], usMatch[2]);
+        }
+
+        return null;
+    }
+
+    parseTime(value) {
+        const match = value
+            .trim()
+            .toLowerCase()
+            .match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/);
+        if (!match) return null;
+
+        let hour = parseInt(match[1]);
+        if (match[3] === 'pm' && hour !== 12) hour += 12;
+        if (match[3] === 'am' && hour === 12) hour = 0;
+
+        return `${String(hour).padStart(2, '0')}:${match[2]}`;
+    }
+
+    parseClockDuration(value) {
+        const match = value.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+        if (!match) return parseFloat(value);
+
+        return parseInt(match[1]) + parseInt(match[2]) / 60 + parseInt(match[3] || 0) / 3600;
+    }
+
+    getActivityKeys(record) {
+        return [...record.tags.map(tag => `Tag: ${tag}`), ...(record.task ? [`Task: ${record.task}`] : [])];
+    }
+
+    async preview(source, records) {
+        const mapping = await this.getSavedMapping(source);
+        const countBy = keys => {
+            const counts = new Map();
+            keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+            return [...counts].map(([key, count]) => ({ key, count }));
+        };
+
+        const projects = countBy(records.map(record => record.projectKey));
+        const activities = countBy(records.flatMap(record => this.getActivityKeys(record)));
+
+        return {
+            source,
+            label: TIME_TRACKER_SOURCES[source],
+            recordCount: records.length,
+            projects,
+            activities,
+            mapping,
+            unmappedProjects: projects.filter(project => !(project.key in mapping.projects)).map(project => project.key)
+        };
+    }
+
+    async buildWorkLog(source, records, mapping = null) {
+        const columnMapping = mapping || (await this.getSavedMapping(source));
+        const unmapped = [...new Set(records.map(record => record.projectKey))].filter(key => !(key in columnMapping.projects));
+
+        if (unmapped.length > 0) {
+            throw new Error(`${TIME_TRACKER_SOURCES[source]} projects are not mapped yet: ${unmapped.join(', ')}`);
+        }
+
+        const logs = [];
+        // Projects mapped to nothing are deliberately left out of the upload
+        const usable = records.filter(record => columnMapping.projects[record.projectKey] !== null);
+
+        // Records without a date or duration (running timers have no stop time) stay in the log, so the analysis step lists them as skipped instead of losing their time
+        usable.forEach(record => {
+            const date = record.date || '';
+            let log = logs.find(existing => existing.date === date);
+            if (!log) {
+                log = { date, entries: [] };
+                logs.push(log);
+            }
+
+            const activityKey = this.getActivityKeys(record).find(key => columnMapping.activities[key]);
+            log.entries.push({
+                project: columnMapping.projects[record.projectKey],
+                subject: record.description || record.task || record.project,
+                duration_hours: record.hours > 0 ? record.hours : 0,
+                break_hours: null,
+                activity: activityKey ? columnMapping.activities[activityKey] : '',
+                is_scrum: false,
+                work_package_id: null,
+                ...(record.start ? { start_time: record.start } : {})
+            });
+        });
+
+        logs.forEach(log => log.entries.sort((a, b) => (a.start_time || '').localeCompare(b.start_time || '')));
+        logs.sort((a, b) => (a.date ? 0 : 1) - (b.date ? 0 : 1));
+
+        return { logs };
+    }
+}
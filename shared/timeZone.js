@@ -0,0 +1,65 @@
+// Wall-clock conversions in an IANA time zone, so computed times do not depend on the browser's zone
+const formatters = {};
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+export function listTimeZones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+export function getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Returns year, month (1-12), day, hour, minute and second as seen on a clock in the zone
+export function getZonedParts(timestamp, timeZone) {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+    }
+
+    const parts = {};
+    formatters[timeZone].formatToParts(new Date(timestamp)).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+    });
+    return parts;
+}
+
+export function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = getZonedParts(timestamp, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+    // A second pass corrects guesses that land on the other side of a DST change
+    return wallClock - getTimeZoneOffset(firstGuess, timeZone);
+}
+
+// Combines a YYYY-MM-DD date and an HH:MM time read in the zone
+export function zonedDateTime(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(zonedTimeToUtc({ year, month, day, hour, minute }, timeZone));
+}
+
+export function formatZonedTime(value, timeZone) {
+    const { hour, minute } = getZonedParts(new Date(value).getTime(), timeZone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+export function formatZonedDate(value, timeZone) {
+    const { year, month, day } = getZonedParts(new Date(value).getTime(), timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
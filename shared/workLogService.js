@@ -1,70 +1,380 @@
-import { loadConfig } from './config.js';
+import { loadConfig, DEFAULT_TIMEZONE } from './config.js';
 import { OpenProjectTimeLogger } from './apiClient.js';
-import { WorkLogParser } from './parser.js';
+import { WorkLogParser, getWorkLogFileFormat, SUPPORTED_FILE_EXTENSIONS } from './parser.js';
+import { SubmissionLedger } from './submissionLedger.js';
+import { BatchStore } from './batchStore.js';
+import { BatchHistory } from './batchHistory.js';
+import { formatZonedTime } from './timeZone.js';
 
 export class WorkLogService {
     constructor() {
         this.config = null;
         this.logger = new OpenProjectTimeLogger();
-        this.parser = new WorkLogParser();
+        this.loggers = {};
+        this.profileConfigs = {};
+        this.requestHooks = {};
+        this.parser = new WorkLogParser(null, profile => this.getLogger(profile));
+        this.ledger = new SubmissionLedger();
+        this.batchStore = new BatchStore();
+        this.batchHistory = new BatchHistory();
+        this.fileName = null;
+        this.cancelRequested = false;
+        this.abortController = null;
+        this.paused = false;
+        this.pauseWaiters = [];
         this.workLogEntries = [];
+        this.validationErrors = [];
+        this.skipped = [];
+        this.parsedSource = null;
         this.analysisData = null;
-        this.statusData = [];
+        this.statusData = {};
     }
 
     async initialize() {
         this.config = await loadConfig();
-        await this.logger.initialize();
+        this.profileConfigs[this.config.PROFILE] = this.config;
+        this.logger = await this.getLogger(this.config.PROFILE);
+    }
+
+    resetSession() {
+        this.config = null;
+        this.loggers = {};
+        this.profileConfigs = {};
+        this.statusData = {};
     }
 
     async initializeLogger() {
-        if (!this.logger) {
-            this.logger = new OpenProjectTimeLogger();
+        if (!this.config) {
+            await this.initialize();
+        }
+    }
+
+    async getLogger(profile = null) {
+        const profileName = profile || this.config?.PROFILE || (await loadConfig()).PROFILE;
+
+        if (!this.loggers[profileName]) {
+            const logger = new OpenProjectTimeLogger(profileName);
+            this.applyRequestHooks(logger);
+            logger.setAbortSignal(this.abortController?.signal);
+            await logger.initialize();
+            this.loggers[profileName] = logger;
+        }
+
+        return this.loggers[profileName];
+    }
+
+    async getProfileConfig(profile = null) {
+        const profileName = profile || this.config?.PROFILE || (await loadConfig()).PROFILE;
+
+        if (!this.profileConfigs[profileName]) {
+            this.profileConfigs[profileName] = await loadConfig(profileName);
+        }
+
+        return this.profileConfigs[profileName];
+    }
+
+    setRequestHooks(hooks) {
+        this.requestHooks = hooks || {};
+        Object.values(this.loggers).forEach(logger => this.applyRequestHooks(logger));
+    }
+
+    getCacheStats() {
+        const totals = { hits: 0, misses: 0, projects: 0, indexedSubjects: 0 };
+
+        Object.values(this.loggers).forEach(logger => {
+            const stats = logger.getCacheStats();
+            totals.hits += stats.hits;
+            totals.misses += stats.misses;
+            totals.projects += stats.projects;
+            totals.indexedSubjects += stats.indexedSubjects;
+        });
+
+        const lookups = totals.hits + totals.misses;
+        totals.hitRate = lookups ? Math.round((totals.hits / lookups) * 100) : 0;
+        return totals;
+    }
+
+    applyRequestHooks(logger) {
+        logger.onRequestStart = this.requestHooks.onRequestStart || null;
+        logger.onRequestEnd = this.requestHooks.onRequestEnd || null;
+    }
+
+    async fetchStatuses(profile = null) {
+        const profileName = profile || this.config?.PROFILE || (await loadConfig()).PROFILE;
+
+        if (!this.statusData[profileName]?.length) {
+            const logger = await this.getLogger(profileName);
+            this.statusData[profileName] = await logger.getStatuses();
         }
-        await this.logger.initialize();
+        return this.statusData[profileName];
     }
 
-    async fetchStatuses() {
-        if (this.statusData.length === 0) {
-            await this.initializeLogger();
-            this.statusData = await this.logger.getStatuses();
+    async processFile(file, options = {}) {
+        if (!getWorkLogFileFormat(file.name)) {
+            throw new Error(`The uploaded file must be one of: ${SUPPORTED_FILE_EXTENSIONS.join(', ')}`);
         }
-        return this.statusData;
+
+        // Calendar meetings can be added to the work log that is already loaded
+        const mergeInto = options.calendar?.merge && this.workLogEntries.length > 0 ? { entries: this.workLogEntries, fileName: this.fileName } : null;
+
+        this.resetSession();
+        this.fileName = file.name;
+
+        const allDateEntries = await this.parser.parseWorkLogFile(file, options);
+        // Imports are kept in their converted JSON form so skipped entries can be fixed and parsed again
+        this.parsedSource = { data: this.parser.workLog, fileName: file.name, mergeInto };
+
+        return this.loadParsedEntries(allDateEntries);
     }
 
-    async processFile(file) {
-        if (!file.name.toLowerCase().endsWith('.json')) {
-            throw new Error('The uploaded file must be a JSON file');
+    async reparseWithFixes(fixes) {
+        if (!this.parsedSource) {
+            throw new Error('Upload a work log before re-parsing it');
         }
 
-        const allDateEntries = await this.parser.parseWorkLogFile(file);
+        const { data, fileName, mergeInto } = this.parsedSource;
+        const corrected = structuredClone(data);
+        fixes.forEach(({ path, value }) => this.replaceAtPointer(corrected, path, value));
 
-        if (Object.keys(allDateEntries).length === 0) {
-            throw new Error('No valid entries found in the file');
+        // The loaded entries stay untouched when the corrected log cannot be parsed
+        const allDateEntries = await this.parser.parseJsonWorkLogContent(corrected);
+        this.checkParsedEntries(allDateEntries);
+
+        this.resetSession();
+        this.fileName = fileName;
+        this.parsedSource = { data: corrected, fileName, mergeInto, corrected: true };
+
+        return this.loadParsedEntries(allDateEntries);
+    }
+
+    replaceAtPointer(data, path, value) {
+        const keys = path
+            .split('/')
+            .slice(1)
+            .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const lastKey = keys.pop();
+        const parent = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), data);
+
+        if (!parent || typeof parent !== 'object' || !(lastKey in parent)) {
+            throw new Error(`Nothing to replace at ${path}`);
+        }
+
+        parent[lastKey] = value;
+    }
+
+    checkParsedEntries(allDateEntries) {
+        if (Object.keys(allDateEntries).some(key => !key.startsWith('_'))) {
+            return;
         }
 
+        const details = (allDateEntries._skipped || []).flatMap(item => item.errors.map(error => `${error.path} ${error.message}`));
+        throw new Error(['No valid entries found in the file', ...details].join('\n'));
+    }
+
+    loadParsedEntries(allDateEntries) {
+        this.checkParsedEntries(allDateEntries);
+
+        const { mergeInto, fileName } = this.parsedSource;
+        this.validationErrors = this.extractValidationErrors(allDateEntries);
+        this.skipped = this.extractSkipped(allDateEntries);
+
         const serverDuplicates = this.extractServerDuplicates(allDateEntries);
         this.workLogEntries = this.extractWorkLogEntries(allDateEntries);
 
+        if (mergeInto) {
+            this.workLogEntries = this.mergeWorkLogEntries(mergeInto.entries, this.workLogEntries);
+            this.fileName = `${mergeInto.fileName} + ${fileName}`;
+        }
+
         return {
             entries: this.workLogEntries,
-            dateCount: Object.keys(allDateEntries).length,
+            dateCount: new Set(this.workLogEntries.map(entry => entry.entry_date)).size,
             totalEntries: this.workLogEntries.length,
-            serverDuplicates: serverDuplicates
+            profiles: this.getEntryProfiles(),
+            serverDuplicates: serverDuplicates,
+            validationErrors: this.validationErrors,
+            skipped: this.skipped
+        };
+    }
+
+    mergeWorkLogEntries(existingEntries, addedEntries) {
+        const isSameEntry = (a, b) => a.entry_date === b.entry_date && a.subject.toLowerCase() === b.subject.toLowerCase() && (a.fixed_start_time || null) === (b.fixed_start_time || null);
+        const newEntries = addedEntries.filter(added => !existingEntries.some(existing => isSameEntry(existing, added)));
+
+        return [...existingEntries, ...newEntries];
+    }
+
+    // Describes the mapping step a file needs before it can be parsed, or null when it needs none
+    async previewImport(file) {
+        await this.parser.loadDateSettings();
+        const format = getWorkLogFileFormat(file.name);
+        if (format === 'calendar') {
+            return this.previewCalendarFile(file);
+        }
+        if (format !== 'csv' && format !== 'json') {
+            return null;
+        }
+
+        const text = await file.text();
+        const timeTrackerExport = this.parser.readTimeTrackerExport(format, text, file.name);
+
+        if (timeTrackerExport) {
+            return { type: 'timeTracker', ...(await this.parser.timeTrackerImporter.preview(timeTrackerExport.source, timeTrackerExport.records)) };
+        }
+
+        if (format === 'csv') {
+            return { type: 'csv', ...(await this.parser.csvImporter.preview(text, file.name)) };
+        }
+
+        return null;
+    }
+
+    async previewCalendarFile(file) {
+        const events = this.parser.calendarImporter.readEvents(await file.text());
+        const loadedDates = [...new Set(this.workLogEntries.map(entry => entry.entry_date))].sort();
+
+        return {
+            type: 'calendar',
+            events,
+            unexpandedSeries: this.parser.calendarImporter.getUnexpandedSeries(events),
+            settings: await this.parser.calendarImporter.loadSettings(),
+            loadedFileName: loadedDates.length > 0 ? this.fileName : null,
+            loadedDates,
+            timeZone: this.parser.dateSettings.timeZone
         };
     }
 
+    previewCalendarEntries(events, settings) {
+        const importer = this.parser.calendarImporter;
+        return importer.getOccurrences(events, settings.from, settings.to).map(occurrence => ({ ...occurrence, resolution: importer.resolveOccurrence(occurrence, settings) }));
+    }
+
+    async saveCalendarSettings(settings) {
+        return this.parser.calendarImporter.saveSettings(settings);
+    }
+
+    async loadActivityRules() {
+        return this.parser.activityRules.loadSettings();
+    }
+
+    async loadActivityHistory() {
+        return this.parser.activityRules.loadHistory();
+    }
+
+    // Shows what the rules decide for the loaded entries whose activity was left empty, and for sample subjects
+    previewActivityRules(settings, history, samples = []) {
+        const activityRules = this.parser.activityRules;
+        const loaded = this.workLogEntries.filter(entry => entry.activity_source).map(entry => ({ subject: entry.subject, project: entry.project }));
+
+        return [...loaded, ...samples].map(sample => ({ ...sample, match: activityRules.resolve(sample.subject, sample.project, settings, history) }));
+    }
+
+    // Saved rules also re-decide the activities the loaded work log inferred; returns how many changed
+    async saveActivityRules(settings) {
+        const activityRules = this.parser.activityRules;
+        await activityRules.saveSettings(settings);
+
+        const history = settings.learnFromHistory ? await activityRules.loadHistory() : [];
+        let changed = 0;
+
+        this.workLogEntries
+            .filter(entry => entry.activity_source)
+            .forEach(entry => {
+                const match = activityRules.resolve(entry.subject, entry.project, settings, history);
+                if (match.activity !== entry.activity) changed++;
+                entry.activity = match.activity;
+                entry.activity_source = match;
+            });
+
+        return changed;
+    }
+
+    async loadProjectAliases() {
+        return this.parser.projectAliases.load();
+    }
+
+    async saveProjectAliases(aliases) {
+        return this.parser.projectAliases.save(aliases);
+    }
+
+    // What each name is logged to with the given aliases, and the mapped projects it is close to
+    previewProjectAliases(aliases, names, projectMappings) {
+        const projectAliases = this.parser.projectAliases;
+        const normalized = Object.fromEntries(Object.entries(aliases).map(([alias, project]) => [projectAliases.normalizeAlias(alias), project]));
+
+        return names.map(name => ({ name, match: projectAliases.resolve(name, projectMappings, normalized), suggestions: projectAliases.suggest(name, projectMappings) }));
+    }
+
+    // Points every skipped entry with the same unknown project at the chosen one and parses the log again
+    async fixUnknownProject(name, project, rememberAlias = false) {
+        if (rememberAlias) {
+            await this.parser.projectAliases.add(name, project);
+        }
+
+        const fixes = this.skipped.filter(item => item.code === 'unknown_project' && item.data.project === name).map(item => ({ path: `${item.path}/project`, value: project }));
+        return this.reparseWithFixes(fixes);
+    }
+
+    // The uploaded log with every alias and fixed project written as its mapped key
+    getCorrectedWorkLog() {
+        if (!this.parsedSource) return null;
+
+        const { data, fileName, mergeInto } = this.parsedSource;
+        const earlierEntries = new Set(mergeInto?.entries || []);
+        const corrected = structuredClone(data);
+
+        this.workLogEntries.filter(entry => entry.project_alias && !earlierEntries.has(entry)).forEach(entry => this.replaceAtPointer(corrected, entry.project_alias.path, entry.project));
+
+        return { data: corrected, fileName: `${fileName.replace(/\.[^.]+$/, '')}.corrected.json` };
+    }
+
+    hasProjectCorrections() {
+        return !!this.parsedSource?.corrected || this.workLogEntries.some(entry => entry.project_alias);
+    }
+
+    async saveCsvMapping(signature, mapping) {
+        return this.parser.csvImporter.saveMapping(signature, mapping);
+    }
+
+    async saveTimeTrackerMapping(source, mapping) {
+        return this.parser.timeTrackerImporter.saveMapping(source, mapping);
+    }
+
+    extractValidationErrors(allDateEntries) {
+        const validationErrors = allDateEntries._validationErrors || [];
+        delete allDateEntries._validationErrors;
+        return validationErrors;
+    }
+
+    extractSkipped(allDateEntries) {
+        const skipped = allDateEntries._skipped || [];
+        delete allDateEntries._skipped;
+        return skipped;
+    }
+
     extractServerDuplicates(allDateEntries) {
         const serverDuplicates = allDateEntries._serverDuplicates || [];
         delete allDateEntries._serverDuplicates;
         return serverDuplicates;
     }
 
+    getEntryProfiles() {
+        return [...new Set(this.workLogEntries.map(entry => entry.profile).filter(Boolean))];
+    }
+
     extractWorkLogEntries(allDateEntries) {
         const entries = [];
         for (const [date, dateEntries] of Object.entries(allDateEntries)) {
             entries.push(...dateEntries);
         }
+
+        entries
+            .filter(entry => entry.fixed_start_time)
+            .forEach(entry => {
+                entry.calculated_start_time = entry.fixed_start_time;
+                entry.calculated_end_time = this.addHoursToTime(entry.fixed_start_time, entry.hours);
+            });
+
         return entries;
     }
 
@@ -78,7 +388,11 @@ export class WorkLogService {
             existing: [],
             new: [],
             existingWorkPackages: [],
-            duplicates: []
+            duplicates: [],
+            alreadyLogged: [],
+            alreadySubmitted: [],
+            ledgerChecked: false,
+            activityIssues: []
         };
 
         const uniqueEntries = this.getUniqueEntries();
@@ -87,6 +401,9 @@ export class WorkLogService {
             await this.categorizeEntry(entry, analysisResult);
         }
 
+        await this.validateEntryActivities(analysisResult);
+        await this.checkAlreadyLoggedEntries(analysisResult);
+
         this.logAnalysisSummary(analysisResult);
         this.analysisData = analysisResult;
 
@@ -98,7 +415,7 @@ export class WorkLogService {
         const uniqueEntries = [];
 
         for (const entry of this.workLogEntries) {
-            const entryKey = `${entry.project}|${entry.subject}|${entry.hours || entry.duration_hours}`;
+            const entryKey = `${entry.profile}|${entry.project}|${entry.subject}|${entry.hours || entry.duration_hours}`;
             if (!seenEntries.has(entryKey)) {
                 seenEntries.add(entryKey);
                 uniqueEntries.push(entry);
@@ -125,17 +442,19 @@ export class WorkLogService {
     }
 
     async checkForDuplicatesOrNew(entry, analysisResult) {
-        const projectMapping = this.config.PROJECT_MAPPINGS || {};
+        const profileConfig = await this.getProfileConfig(entry.profile);
+        const projectMapping = profileConfig.PROJECT_MAPPINGS || {};
         const projectId = projectMapping[entry.project];
 
         if (!projectId) {
-            throw new Error(`Project mapping not found for ${entry.project}`);
+            throw new Error(`Project mapping not found for ${entry.project} in profile '${profileConfig.PROFILE}'`);
         }
 
         console.log(`🔍 Checking entry "${entry.subject}" in project "${entry.project}" (ID: ${projectId}) for duplicates...`);
 
         try {
-            const existingWp = await this.logger.checkExistingWorkPackageBySubject(projectId, entry.subject);
+            const logger = await this.getLogger(entry.profile);
+            const existingWp = await logger.checkExistingWorkPackageBySubject(projectId, entry.subject);
 
             if (existingWp) {
                 this.handleDuplicateEntry(entry, existingWp, analysisResult);
@@ -149,6 +468,170 @@ export class WorkLogService {
         }
     }
 
+    // Checks each activity against the ones the target project or work package allows on the server
+    async validateEntryActivities(analysisResult) {
+        const allowedByTarget = new Map();
+
+        for (const entry of this.workLogEntries) {
+            delete entry.activity_issue;
+
+            const workPackageId = entry.work_package_id || entry.existing_work_package_id || this.findKnownWorkPackageId(entry, analysisResult);
+            const target = workPackageId ? { workPackageId } : { projectId: await this.getProjectId(entry.project, entry.profile).catch(() => null) };
+
+            if (!target.workPackageId && !target.projectId) {
+                continue;
+            }
+
+            const targetKey = `${entry.profile}|${workPackageId ? `wp:${workPackageId}` : `project:${target.projectId}`}`;
+
+            if (!allowedByTarget.has(targetKey)) {
+                allowedByTarget.set(targetKey, await this.loadAllowedActivityNames(entry.profile, target));
+            }
+
+            const allowed = allowedByTarget.get(targetKey);
+            const activity = (entry.activity || '').toLowerCase();
+
+            if (!allowed.some(name => name.toLowerCase() === activity)) {
+                const where = workPackageId ? `WP #${workPackageId}` : `project '${entry.project}'`;
+                entry.activity_issue = { allowed, message: `Activity '${entry.activity}' is not allowed on ${where}` };
+                console.warn(`⚠️ ${entry.activity_issue.message}`);
+            }
+        }
+
+        analysisResult.activityIssues = this.workLogEntries.filter(entry => entry.activity_issue);
+    }
+
+    async loadAllowedActivityNames(profile, target) {
+        const logger = await this.getLogger(profile);
+
+        try {
+            const activities = await logger.getAllowedActivities(target);
+            if (activities.length > 0) {
+                return activities.map(activity => activity.name);
+            }
+        } catch (error) {
+            console.warn('Could not load allowed activities from the server, using the configured ones:', error.message);
+        }
+
+        return Object.keys(logger.config.ACTIVITY_MAPPINGS || {});
+    }
+
+    // Applies the chosen activity to every entry with the same invalid activity on the same project; returns how many changed
+    correctEntryActivity(entry, activity) {
+        const invalidActivity = entry.activity;
+        const matching = this.workLogEntries.filter(
+            candidate => candidate.activity_issue && candidate.activity === invalidActivity && candidate.profile === entry.profile && candidate.project === entry.project && candidate.activity_issue.allowed.includes(activity)
+        );
+
+        matching.forEach(candidate => {
+            candidate.activity = activity;
+            delete candidate.activity_issue;
+            delete candidate.activity_source;
+        });
+
+        if (this.analysisData) {
+            this.analysisData.activityIssues = this.workLogEntries.filter(candidate => candidate.activity_issue);
+        }
+
+        return matching.length;
+    }
+
+    async checkAlreadyLoggedEntries(analysisResult) {
+        const verdicts = new Map();
+
+        for (const entry of this.workLogEntries) {
+            const workPackageId = entry.work_package_id || entry.existing_work_package_id || this.findKnownWorkPackageId(entry, analysisResult);
+            delete entry.already_logged;
+
+            if (!workPackageId || !entry.entry_date) {
+                continue;
+            }
+
+            const hours = entry.duration_hours || entry.hours || 0;
+            const verdictKey = `${entry.profile}|${workPackageId}|${entry.entry_date}|${entry.activity}|${hours}`;
+
+            try {
+                if (!verdicts.has(verdictKey)) {
+                    const logger = await this.getLogger(entry.profile);
+                    verdicts.set(verdictKey, await logger.checkTimeEntryAlreadyLogged(workPackageId, entry.entry_date, hours, entry.activity));
+                }
+            } catch (error) {
+                console.warn(`Could not check existing time entries for "${entry.subject}":`, error.message);
+                continue;
+            }
+
+            const verdict = verdicts.get(verdictKey);
+            entry.already_logged = verdict;
+
+            if (verdict.alreadyLogged) {
+                console.log(`⏭️ ALREADY LOGGED: ${verdict.message}`);
+                analysisResult.alreadyLogged.push(entry);
+            }
+        }
+    }
+
+    // Start times are part of the ledger key, so this runs once they have been calculated
+    async checkSubmissionLedger() {
+        const alreadySubmitted = [];
+
+        for (const entry of this.workLogEntries) {
+            delete entry.already_submitted;
+
+            try {
+                const record = await this.reconcileLedgerRecord(entry);
+
+                if (record) {
+                    entry.already_submitted = record;
+                    alreadySubmitted.push(entry);
+                    console.log(`📒 ALREADY SUBMITTED: "${entry.subject}" on ${entry.entry_date} (time entry #${record.timeEntryId})`);
+                }
+            } catch (error) {
+                console.warn(`Could not check submission ledger for "${entry.subject}":`, error.message);
+            }
+        }
+
+        if (this.analysisData) {
+            this.analysisData.alreadySubmitted = alreadySubmitted;
+            this.analysisData.ledgerChecked = true;
+        }
+
+        return alreadySubmitted;
+    }
+
+    async reconcileLedgerRecord(entry) {
+        const record = await this.ledger.find(entry);
+        const serverMatch = entry.already_logged?.alreadyLogged ? entry.already_logged.matches[0] : null;
+
+        if (record) {
+            const logger = await this.getLogger(record.profile || entry.profile);
+            const timeEntry = await logger.getTimeEntry(record.timeEntryId);
+
+            if (timeEntry) {
+                return record;
+            }
+
+            console.log(`🧹 Time entry #${record.timeEntryId} no longer exists on the server, dropping ledger record for "${entry.subject}"`);
+            await this.ledger.remove(entry);
+        }
+
+        if (!serverMatch) {
+            return null;
+        }
+
+        // The server already has this time, e.g. logged from another browser or by hand
+        return await this.ledger.record(entry, {
+            timeEntryId: serverMatch.id,
+            workPackageId: entry.already_logged.workPackageId,
+            profile: entry.profile,
+            source: 'server'
+        });
+    }
+
+    findKnownWorkPackageId(entry, analysisResult) {
+        const duplicate = analysisResult.duplicates.find(dup => dup.profile === entry.profile && dup.project === entry.project && dup.subject === entry.subject);
+        return duplicate ? duplicate.existing_work_package_id : null;
+    }
+
     handleDuplicateEntry(entry, existingWp, analysisResult) {
         console.log(`🔄 DUPLICATE FOUND: Entry "${entry.subject}" matches existing work package ID: ${existingWp.id}`);
         entry.existing_work_package_id = existingWp.id;
@@ -170,6 +653,10 @@ export class WorkLogService {
         console.log(`   EXISTING work packages: ${analysisResult.existing.length}`);
         console.log(`   DUPLICATE entries (found on server): ${analysisResult.duplicates.length}`);
         console.log(`   NEW work packages to create: ${analysisResult.new.length}`);
+        console.log(`   ALREADY LOGGED time entries: ${analysisResult.alreadyLogged.length}`);
+
+        const cacheStats = this.getCacheStats();
+        console.log(`   Work package index: ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`);
 
         if (analysisResult.duplicates.length > 0) {
             console.log('🔄 Duplicate entries details:');
@@ -187,6 +674,15 @@ export class WorkLogService {
         return (totalMinutes / 60).toFixed(2);
     }
 
+    getDurationRoundingSummary() {
+        const rounded = this.workLogEntries.filter(entry => entry.duration_rounded_from !== undefined);
+        return {
+            count: rounded.length,
+            steps: [...new Set(rounded.map(entry => entry.duration_rounding))].sort((a, b) => a - b),
+            difference: rounded.reduce((sum, entry) => sum + entry.hours - entry.duration_rounded_from, 0)
+        };
+    }
+
     calculateAllTimes() {
         const validationIssues = [];
         const entriesByDate = this.groupEntriesByDate();
@@ -236,25 +732,56 @@ export class WorkLogService {
     }
 
     processDateEntries(sortedEntries, validationIssues) {
+        // Entries with a real start time (imported meetings, tracker exports) are placed first and the rest are chained around them
+        const fixedEntries = sortedEntries.filter(entry => !entry.is_scrum && entry.fixed_start_time).sort((a, b) => this.compareEntryTimes(a.fixed_start_time, b.fixed_start_time));
+        const chainedEntries = sortedEntries.filter(entry => !fixedEntries.includes(entry));
         let currentTime = null;
         let isFirstNonScrum = true;
 
-        sortedEntries.forEach((entry, index) => {
+        fixedEntries.forEach((entry, index) => {
+            this.setEntryTimes(entry, entry.fixed_start_time, fixedEntries, index, validationIssues);
+            this.checkAnchorConflict(entry, validationIssues);
+        });
+
+        chainedEntries.forEach((entry, index) => {
             if (entry.is_scrum) {
                 this.processScrumEntry(entry, validationIssues);
                 return;
             }
 
-            currentTime = this.calculateEntryStartTime(entry, sortedEntries, index, isFirstNonScrum);
+            currentTime = this.calculateEntryStartTime(entry, chainedEntries, index, isFirstNonScrum);
             if (isFirstNonScrum) {
                 isFirstNonScrum = false;
             }
 
-            this.setEntryTimes(entry, currentTime, sortedEntries, index, validationIssues);
+            currentTime = this.moveAfterFixedEntries(currentTime, entry, fixedEntries);
+            this.setEntryTimes(entry, currentTime, chainedEntries, index, validationIssues);
             currentTime = entry.calculated_end_time;
         });
     }
 
+    moveAfterFixedEntries(startTime, entry, fixedEntries) {
+        if (!startTime) return startTime;
+
+        let start = startTime;
+        let blockingEntry;
+
+        do {
+            const end = this.addHoursToTime(start, entry.hours || entry.duration_hours || 0);
+            blockingEntry = fixedEntries.find(fixed => this.timeToMinutes(start) < this.timeToMinutes(fixed.calculated_end_time) && this.timeToMinutes(fixed.calculated_start_time) < this.timeToMinutes(end));
+            if (blockingEntry) {
+                start = blockingEntry.calculated_end_time;
+            }
+        } while (blockingEntry);
+
+        return start;
+    }
+
+    timeToMinutes(time) {
+        const [hours, minutes] = (this.extractTimeFromString(time) || '00:00').split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
     processScrumEntry(entry, validationIssues) {
         if (!entry.work_package_id) {
             validationIssues.push({
@@ -269,6 +796,20 @@ export class WorkLogService {
         }
 
         entry.calculated_end_time = this.addHoursToTime(entry.calculated_start_time, entry.hours || entry.duration_hours || 0);
+        this.checkAnchorConflict(entry, validationIssues);
+    }
+
+    // The start time and duration win when an entry also gives an end_time that does not match them
+    checkAnchorConflict(entry, validationIssues) {
+        if (!entry.fixed_end_time || entry.fixed_end_time === entry.calculated_end_time) {
+            return;
+        }
+
+        validationIssues.push({
+            type: 'anchor_conflict',
+            entry: entry,
+            message: `Starting at ${entry.calculated_start_time} for ${entry.hours || entry.duration_hours || 0}h ends at ${entry.calculated_end_time}, not at its end_time ${entry.fixed_end_time}. Fix the start_time, end_time or duration_hours`
+        });
     }
 
     calculateEntryStartTime(entry, sortedEntries, index, isFirstNonScrum) {
@@ -288,7 +829,7 @@ export class WorkLogService {
             return null;
         }
 
-        return this.extractTimeFromString(entry.start_time) || '09:00';
+        return this.extractTimeFromString(entry.start_time, entry.time_zone) || '09:00';
     }
 
     getSubsequentStartTime(entry, sortedEntries, index) {
@@ -351,15 +892,14 @@ export class WorkLogService {
         return null;
     }
 
-    addHoursToTime(timeString, hours) {
+    addHoursToTime(timeString, hours, timeZone) {
         if (!timeString || !hours) return timeString;
 
         try {
             let cleanTimeString = timeString;
 
             if (timeString.includes('T')) {
-                const date = new Date(timeString);
-                cleanTimeString = date.toTimeString().slice(0, 5); // HH:MM format
+                cleanTimeString = this.extractTimeFromString(timeString, timeZone);
             }
 
             const [hourStr, minuteStr] = cleanTimeString.split(':');
@@ -383,14 +923,22 @@ export class WorkLogService {
         }
     }
 
-    extractTimeFromString(timeString) {
+    // Entries carry the zone they were parsed in; anything else falls back to the configured zone
+    getTimeZone(entry) {
+        return entry?.time_zone || this.config?.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE;
+    }
+
+    getEntryClockTime(entry) {
+        return this.extractTimeFromString(entry.calculated_start_time || entry.start_time, this.getTimeZone(entry));
+    }
+
+    extractTimeFromString(timeString, timeZone = this.getTimeZone()) {
         if (!timeString) return null;
 
         try {
-            // If it's an ISO string, extract just the time part
+            // If it's an ISO string, read the time part on the zone's clock
             if (timeString.includes('T')) {
-                const date = new Date(timeString);
-                return date.toTimeString().slice(0, 5); // HH:MM format
+                return formatZonedTime(timeString, timeZone || this.getTimeZone());
             }
 
             // If it's already in HH:MM format, return as is
@@ -437,6 +985,7 @@ export class WorkLogService {
             if (dateTimeString.includes('T')) {
                 const date = new Date(dateTimeString);
                 return date.toLocaleString('en-US', {
+                    timeZone: this.getTimeZone(),
                     year: 'numeric',
                     month: 'short',
                     day: 'numeric',
@@ -457,7 +1006,9 @@ export class WorkLogService {
 
         try {
             const date = new Date(dateString);
+            // YYYY-MM-DD dates parse as UTC midnight, so they are shown in UTC to keep the same day
             return date.toLocaleDateString('en-US', {
+                timeZone: 'UTC',
                 weekday: 'short',
                 year: 'numeric',
                 month: 'short',
@@ -517,6 +1068,21 @@ export class WorkLogService {
 
         this.enrichEntryMetadata(entry, commentData);
 
+        if (entry.already_logged?.alreadyLogged && (commentData.skip_already_logged !== false || entry.already_logged.interrupted)) {
+            return {
+                type: 'skipped',
+                message: `Skipped (already logged): ${entry.project} - ${entry.subject} - ${entry.already_logged.message}`
+            };
+        }
+
+        const ledgerRecord = await this.ledger.find(entry);
+        if (ledgerRecord && commentData.skip_already_logged !== false) {
+            return {
+                type: 'skipped',
+                message: `Skipped (already submitted): ${entry.project} - ${entry.subject} - time entry #${ledgerRecord.timeEntryId} on ${ledgerRecord.submittedAt.split('T')[0]}`
+            };
+        }
+
         if (entry.is_scrum && workPackageId) {
             return await this.processScrumTimeEntry(entry, workPackageId, entryDate);
         }
@@ -534,7 +1100,7 @@ export class WorkLogService {
 
     enrichEntryMetadata(entry, commentData) {
         const newEntries = this.analysisData.new || [];
-        const newEntryIndex = newEntries.findIndex(newEntry => newEntry.project === entry.project && newEntry.subject === entry.subject);
+        const newEntryIndex = newEntries.findIndex(newEntry => newEntry.profile === entry.profile && newEntry.project === entry.project && newEntry.subject === entry.subject);
 
         if (newEntryIndex === -1) {
             return;
@@ -548,43 +1114,54 @@ export class WorkLogService {
         }
 
         entry.statusId = selectedStatusId;
-        const statusName = this.statusData.find(s => s.id === selectedStatusId)?.name || 'Unknown Status';
+        const statuses = this.statusData[entry.profile] || [];
+        const statusName = statuses.find(s => s.id === selectedStatusId)?.name || 'Unknown Status';
         entry.statusName = statusName;
     }
 
     async processScrumTimeEntry(entry, workPackageId, entryDate) {
+        const logger = await this.getLogger(entry.profile);
         const duration = entry.duration_hours || entry.hours || 0;
-        await this.logger.createTimeEntry(workPackageId, entryDate, entry.calculated_start_time || entry.start_time, duration, entry.activity, `[${entry.project}] ${entry.subject}`);
+        const timeEntry = await logger.createTimeEntry(workPackageId, entryDate, this.getEntryClockTime(entry), duration, entry.activity, `[${entry.project}] ${entry.subject}`);
 
         return {
             type: 'scrum',
-            message: `SCRUM: ${entry.project} - ${entry.subject} (${duration}h)`
+            message: `SCRUM: ${entry.project} - ${entry.subject} (${duration}h)`,
+            workPackageId: workPackageId,
+            timeEntryId: timeEntry.id
         };
     }
 
     async processExistingWorkPackage(entry, entryDate) {
+        const logger = await this.getLogger(entry.profile);
         const duration = entry.duration_hours || entry.hours || 0;
-        await this.logger.createTimeEntry(entry.existing_work_package_id, entryDate, entry.calculated_start_time || entry.start_time, duration, entry.activity, `[${entry.project}] ${entry.subject}`);
+        const timeEntry = await logger.createTimeEntry(entry.existing_work_package_id, entryDate, this.getEntryClockTime(entry), duration, entry.activity, `[${entry.project}] ${entry.subject}`);
 
         return {
             type: 'existing',
-            message: `Existing WP: ${entry.project} - ${entry.subject} (${duration}h)`
+            message: `Existing WP: ${entry.project} - ${entry.subject} (${duration}h)`,
+            workPackageId: entry.existing_work_package_id,
+            timeEntryId: timeEntry.id
         };
     }
 
     async processDuplicateWorkPackage(entry, workPackageId, entryDate) {
+        const logger = await this.getLogger(entry.profile);
         const duration = entry.duration_hours || entry.hours || 0;
-        await this.logger.createTimeEntry(workPackageId, entryDate, entry.calculated_start_time || entry.start_time, duration, entry.activity, `[${entry.project}] ${entry.subject}`);
+        const timeEntry = await logger.createTimeEntry(workPackageId, entryDate, this.getEntryClockTime(entry), duration, entry.activity, `[${entry.project}] ${entry.subject}`);
 
         return {
             type: 'duplicate',
-            message: `Added time to duplicate: ${entry.project} - ${entry.subject} (+${duration}h)`
+            message: `Added time to duplicate: ${entry.project} - ${entry.subject} (+${duration}h)`,
+            workPackageId: workPackageId,
+            timeEntryId: timeEntry.id
         };
     }
 
     async processNewWorkPackage(entry, commentData, entryDate) {
-        const projectId = this.getProjectId(entry.project);
-        const existingWorkPackage = await this.logger.findWorkPackageBySubject(projectId, entry.subject);
+        const projectId = await this.getProjectId(entry.project, entry.profile);
+        const logger = await this.getLogger(entry.profile);
+        const existingWorkPackage = await logger.findWorkPackageBySubject(projectId, entry.subject);
 
         if (existingWorkPackage) {
             return await this.processFoundExistingWorkPackage(entry, existingWorkPackage, entryDate);
@@ -593,61 +1170,232 @@ export class WorkLogService {
         return await this.createNewWorkPackageWithTime(entry, projectId, commentData, entryDate);
     }
 
-    getProjectId(projectName) {
-        const projectMapping = this.config.PROJECT_MAPPINGS || {};
+    async getProjectId(projectName, profile = null) {
+        const profileConfig = await this.getProfileConfig(profile);
+        const projectMapping = profileConfig.PROJECT_MAPPINGS || {};
         const projectId = projectMapping[`${projectName}_PROJECT`] || projectMapping[projectName];
 
         if (!projectId) {
-            throw new Error(`No project mapping found for project: ${projectName}`);
+            throw new Error(`No project mapping found for project: ${projectName} in profile '${profileConfig.PROFILE}'`);
         }
 
         return projectId;
     }
 
     async processFoundExistingWorkPackage(entry, existingWorkPackage, entryDate) {
+        const logger = await this.getLogger(entry.profile);
         const duration = entry.duration_hours || entry.hours || 0;
-        await this.logger.createTimeEntry(existingWorkPackage.id, entryDate, entry.calculated_start_time || entry.start_time, duration, entry.activity, `[${entry.project}] ${entry.subject}`);
+        const timeEntry = await logger.createTimeEntry(existingWorkPackage.id, entryDate, this.getEntryClockTime(entry), duration, entry.activity, `[${entry.project}] ${entry.subject}`);
 
         return {
             type: 'found_existing',
-            message: `Found existing WP: ${entry.project} - ${entry.subject} (${duration}h)`
+            message: `Found existing WP: ${entry.project} - ${entry.subject} (${duration}h)`,
+            workPackageId: existingWorkPackage.id,
+            timeEntryId: timeEntry.id
         };
     }
 
     async createNewWorkPackageWithTime(entry, projectId, commentData, entryDate) {
         const newEntries = this.analysisData.new || [];
-        const newEntryIndex = newEntries.findIndex(newEntry => newEntry.project === entry.project && newEntry.subject === entry.subject);
+        const newEntryIndex = newEntries.findIndex(newEntry => newEntry.profile === entry.profile && newEntry.project === entry.project && newEntry.subject === entry.subject);
 
-        const workPackage = await this.logger.createWorkPackage(projectId, entry.subject, entry.activity, commentData[`comment_${newEntryIndex}`] || '', entry.statusId || 7);
+        const logger = await this.getLogger(entry.profile);
+        const workPackage = await logger.createWorkPackage(projectId, entry.subject, entry.activity, commentData[`comment_${newEntryIndex}`] || '', entry.statusId || 7);
 
         const duration = entry.duration_hours || entry.hours || 0;
-        await this.logger.createTimeEntry(workPackage.id, entryDate, entry.calculated_start_time || entry.start_time, duration, entry.activity, `[${entry.project}] ${entry.subject}`);
+        let timeEntry;
+        try {
+            timeEntry = await logger.createTimeEntry(workPackage.id, entryDate, this.getEntryClockTime(entry), duration, entry.activity, `[${entry.project}] ${entry.subject}`);
+        } catch (error) {
+            // Keep track of the work package so undoing the batch can still remove it
+            error.createdWorkPackageId = workPackage.id;
+            throw error;
+        }
 
         const statusText = entry.statusName ? `, Status: ${entry.statusName}` : '';
         return {
             type: 'new',
             message: `New WP created: ${entry.project} - ${entry.subject} (ID: ${workPackage.id}, ${duration}h${statusText})`,
-            workPackageId: workPackage.id
+            workPackageId: workPackage.id,
+            timeEntryId: timeEntry.id
         };
     }
 
+    // Every profile's work package index as plain data, so processing in the service worker does not index the projects again
+    getWorkPackageIndexSnapshot() {
+        return Object.fromEntries(Object.entries(this.loggers).map(([profile, logger]) => [profile, logger.workPackageIndex.toSnapshot()]));
+    }
+
+    async restoreWorkPackageIndexes(snapshot = {}) {
+        for (const [profile, projects] of Object.entries(snapshot || {})) {
+            try {
+                const logger = await this.getLogger(profile);
+                logger.workPackageIndex.loadSnapshot(projects);
+            } catch (error) {
+                console.warn(`Could not restore the work package index of profile '${profile}':`, error.message);
+            }
+        }
+    }
+
     async processAllEntries(commentData = {}, progressCallback = null) {
-        if (!this.logger) {
+        if (!this.config) {
             await this.initialize();
         }
 
+        const batch = await this.batchStore.create({
+            fileName: this.fileName,
+            entries: this.workLogEntries,
+            commentData,
+            newEntries: this.analysisData?.new
+        });
+
+        return await this.runBatch(batch, progressCallback);
+    }
+
+    async startBatch({ fileName, entries, newEntries, commentData, workPackageIndex }, progressCallback = null) {
+        this.resetSession();
+        this.fileName = fileName;
+        this.workLogEntries = entries;
+        this.analysisData = { new: newEntries || [] };
+        await this.initialize();
+        await this.restoreWorkPackageIndexes(workPackageIndex);
+
+        return await this.processAllEntries(commentData, progressCallback);
+    }
+
+    cancelBatch() {
+        this.cancelRequested = true;
+        this.abortController?.abort();
+        this.releasePause();
+    }
+
+    // Pausing takes effect between entries; the entry being submitted is allowed to finish
+    pauseBatch() {
+        this.paused = true;
+    }
+
+    continueBatch() {
+        this.releasePause();
+    }
+
+    releasePause() {
+        this.paused = false;
+        this.pauseWaiters.forEach(resolve => resolve());
+        this.pauseWaiters = [];
+    }
+
+    waitWhilePaused() {
+        if (!this.paused) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.pauseWaiters.push(resolve));
+    }
+
+    setAbortController(abortController) {
+        this.abortController = abortController;
+        Object.values(this.loggers).forEach(logger => logger.setAbortSignal(abortController?.signal));
+    }
+
+    async getInterruptedBatch() {
+        const batch = await this.batchStore.load();
+        return batch ? this.batchStore.getSummary(batch) : null;
+    }
+
+    async discardInterruptedBatch() {
+        await this.batchStore.clear();
+    }
+
+    async resumeBatch(progressCallback = null) {
+        const batch = await this.batchStore.load();
+
+        if (!batch) {
+            throw new Error('No interrupted batch found to resume');
+        }
+
+        this.resetSession();
+        this.fileName = batch.fileName;
+        this.workLogEntries = batch.entries;
+        this.analysisData = { new: batch.newEntries };
+        await this.initialize();
+
+        console.log(`▶️ Resuming batch "${batch.fileName}" from entry ${this.batchStore.getResumeIndex(batch) + 1}/${batch.entries.length}`);
+        return await this.runBatch(batch, progressCallback);
+    }
+
+    async runBatch(batch, progressCallback) {
         const results = [];
-        const stats = { createdCount: 0, updatedCount: 0, errorCount: 0 };
+        const stats = { createdCount: 0, updatedCount: 0, skippedCount: 0, errorCount: 0, cancelledCount: 0 };
         const totalEntries = this.workLogEntries.length;
+        this.cancelRequested = false;
+        this.paused = false;
+        this.setAbortController(new AbortController());
 
         for (let i = 0; i < this.workLogEntries.length; i++) {
             const entry = this.workLogEntries[i];
+            const progress = batch.progress[i];
+
+            if (this.batchStore.isEntryCompleted(progress)) {
+                results.push({ success: true, entry, result: progress.result, resumed: true });
+                this.updateStats(progress.result.type, stats);
+                continue;
+            }
+
+            await this.waitWhilePaused();
+
+            if (this.cancelRequested) {
+                results.push({ success: false, cancelled: true, entry, error: 'Cancelled before processing' });
+                stats.cancelledCount++;
+                continue;
+            }
 
             this.notifyProgress(progressCallback, i + 1, totalEntries, entry);
-            await this.processAndTrackEntry(entry, commentData, results, stats);
+
+            if (progress.status === 'in_progress') {
+                await this.checkInterruptedEntry(entry);
+            }
+
+            await this.batchStore.updateEntry(batch, i, { status: 'in_progress' });
+            await this.processAndTrackEntry(entry, batch.commentData, results, stats);
+
+            const outcome = results[results.length - 1];
+            const entryProgress = outcome.success ? { status: outcome.result.type === 'skipped' ? 'skipped' : 'done', result: outcome.result } : { status: 'failed', error: outcome.error };
+            await this.batchStore.updateEntry(batch, i, entryProgress);
+        }
+
+        this.setAbortController(null);
+        await this.recordBatchHistory(batch, results);
+        await this.batchStore.clear();
+        return this.buildProcessingResult(results, stats, totalEntries, batch.id);
+    }
+
+    // The page went away mid-request, so the work package and time entry may exist without a ledger record
+    async checkInterruptedEntry(entry) {
+        if (!entry.entry_date) {
+            return;
+        }
+
+        try {
+            const logger = await this.getLogger(entry.profile);
+            const workPackageId = entry.work_package_id || entry.existing_work_package_id || (await this.findInterruptedWorkPackageId(entry, logger));
+
+            if (!workPackageId) {
+                return;
+            }
+
+            const verdict = await logger.checkTimeEntryAlreadyLogged(workPackageId, entry.entry_date, entry.duration_hours || entry.hours || 0, entry.activity);
+            // Logged by the interrupted run itself, so it is skipped even when already logged entries are not
+            entry.already_logged = { ...verdict, interrupted: true };
+        } catch (error) {
+            console.warn(`Could not verify interrupted entry "${entry.subject}":`, error.message);
         }
+    }
 
-        return this.buildProcessingResult(results, stats, totalEntries);
+    // A new entry's work package may have been created before the interruption
+    async findInterruptedWorkPackageId(entry, logger) {
+        const projectId = await this.getProjectId(entry.project, entry.profile);
+        const workPackage = await logger.findWorkPackageBySubject(projectId, entry.subject);
+        return workPackage?.id || null;
     }
 
     notifyProgress(progressCallback, current, total, entry) {
@@ -668,29 +1416,217 @@ export class WorkLogService {
             const result = await this.processEntry(entry, commentData);
             results.push({ success: true, entry, result });
 
+            if (result.timeEntryId) {
+                await this.recordSubmission(entry, result);
+            }
+
             this.updateStats(result.type, stats);
         } catch (error) {
-            results.push({ success: false, entry, error: error.message });
+            const createdWorkPackageId = error.createdWorkPackageId || null;
+
+            if (this.cancelRequested && error.name === 'AbortError') {
+                // The request was cut off mid-flight, so the server may or may not have stored it
+                results.push({ success: false, cancelled: true, interrupted: true, entry, createdWorkPackageId, error: 'Cancelled while submitting - check the server before re-submitting' });
+                stats.cancelledCount++;
+                return;
+            }
+
+            results.push({ success: false, entry, createdWorkPackageId, error: error.message });
             stats.errorCount++;
         }
     }
 
+    async recordBatchHistory(batch, results) {
+        const createdTimeEntries = [];
+        const createdWorkPackages = [];
+
+        results.forEach(entryResult => {
+            const { entry, result } = entryResult;
+
+            if (entryResult.success && result.timeEntryId) {
+                createdTimeEntries.push({ id: result.timeEntryId, workPackageId: result.workPackageId, profile: entry.profile || null });
+            }
+
+            const createdWorkPackageId = entryResult.success && result.type === 'new' ? result.workPackageId : entryResult.createdWorkPackageId;
+            if (createdWorkPackageId) {
+                createdWorkPackages.push({ id: createdWorkPackageId, profile: entry.profile || null, project: entry.project, subject: entry.subject });
+            }
+        });
+
+        try {
+            const entries = results.map(entryResult => this.summarizeEntryResult(entryResult));
+
+            await this.batchHistory.add({
+                id: batch.id,
+                fileName: batch.fileName,
+                startedAt: batch.createdAt,
+                finishedAt: new Date().toISOString(),
+                servers: await this.getProfileServers(entries),
+                status: this.getBatchStatus(entries),
+                summary: this.countEntryStatuses(entries),
+                entries,
+                createdTimeEntries,
+                createdWorkPackages,
+                undo: null
+            });
+        } catch (error) {
+            console.warn('Could not store the batch in the history:', error.message);
+        }
+    }
+
+    summarizeEntryResult(entryResult) {
+        const { entry, result } = entryResult;
+        let status = 'failed';
+
+        if (entryResult.success) {
+            status = result.type === 'skipped' ? 'skipped' : 'completed';
+        } else if (entryResult.cancelled) {
+            status = 'cancelled';
+        }
+
+        return {
+            date: entry.entry_date || entry.date || null,
+            project: entry.project,
+            subject: entry.subject,
+            activity: entry.activity,
+            hours: entry.duration_hours || entry.hours || 0,
+            profile: entry.profile || null,
+            status,
+            type: result?.type || null,
+            message: entryResult.success ? result.message : entryResult.error,
+            workPackageId: result?.workPackageId || entryResult.createdWorkPackageId || entry.work_package_id || entry.existing_work_package_id || null,
+            timeEntryId: result?.timeEntryId || null
+        };
+    }
+
+    countEntryStatuses(entries) {
+        const summary = { completed: 0, skipped: 0, cancelled: 0, failed: 0 };
+        entries.forEach(entry => summary[entry.status]++);
+        return summary;
+    }
+
+    getBatchStatus(entries) {
+        const summary = this.countEntryStatuses(entries);
+
+        if (summary.cancelled > 0) return 'cancelled';
+        if (summary.failed > 0) return summary.completed > 0 ? 'partial' : 'failed';
+        return 'completed';
+    }
+
+    async getProfileServers(entries) {
+        const servers = {};
+
+        for (const profile of new Set(entries.map(entry => entry.profile))) {
+            const profileConfig = await this.getProfileConfig(profile);
+            servers[profile || profileConfig.PROFILE] = profileConfig.CONFIG.base_url;
+        }
+
+        return servers;
+    }
+
+    async getBatchHistory() {
+        return await this.batchHistory.list();
+    }
+
+    async undoBatch(batchId) {
+        const record = await this.batchHistory.get(batchId);
+
+        if (!record) {
+            throw new Error(`Batch ${batchId} was not found in the history`);
+        }
+
+        if (record.undo?.completed) {
+            throw new Error('This batch has already been undone');
+        }
+
+        // A previous partial undo already removed some items; only retry what is left
+        const report = {
+            removedTimeEntries: [...(record.undo?.removedTimeEntries || [])],
+            removedWorkPackages: [...(record.undo?.removedWorkPackages || [])],
+            failures: []
+        };
+
+        for (const timeEntry of record.createdTimeEntries) {
+            if (report.removedTimeEntries.includes(timeEntry.id)) continue;
+
+            try {
+                const logger = await this.getLogger(timeEntry.profile);
+                await logger.deleteTimeEntry(timeEntry.id);
+                await this.ledger.removeByTimeEntryIds([timeEntry.id], timeEntry.profile);
+                report.removedTimeEntries.push(timeEntry.id);
+                console.log(`↩️ Deleted time entry #${timeEntry.id}`);
+            } catch (error) {
+                report.failures.push({ type: 'time_entry', id: timeEntry.id, reason: error.message });
+            }
+        }
+
+        for (const workPackage of record.createdWorkPackages) {
+            if (report.removedWorkPackages.includes(workPackage.id)) continue;
+
+            try {
+                const logger = await this.getLogger(workPackage.profile);
+                const remainingTimeEntries = await logger.countTimeEntriesForWorkPackage(workPackage.id);
+
+                if (remainingTimeEntries > 0) {
+                    report.failures.push({
+                        type: 'work_package',
+                        id: workPackage.id,
+                        reason: `Still has ${remainingTimeEntries} time entr${remainingTimeEntries === 1 ? 'y' : 'ies'} logged, left in place`
+                    });
+                    continue;
+                }
+
+                await logger.deleteWorkPackage(workPackage.id);
+                logger.workPackageIndex.invalidate();
+                report.removedWorkPackages.push(workPackage.id);
+                console.log(`↩️ Deleted work package #${workPackage.id} (${workPackage.subject})`);
+            } catch (error) {
+                report.failures.push({ type: 'work_package', id: workPackage.id, reason: error.message });
+            }
+        }
+
+        report.completed = report.failures.length === 0;
+        report.undoneAt = new Date().toISOString();
+        await this.batchHistory.update(batchId, { undo: report });
+
+        return report;
+    }
+
+    async recordSubmission(entry, result) {
+        try {
+            entry.already_submitted = await this.ledger.record(entry, {
+                timeEntryId: result.timeEntryId,
+                workPackageId: result.workPackageId,
+                profile: entry.profile
+            });
+        } catch (error) {
+            console.warn(`Could not record submission of "${entry.subject}" in the ledger:`, error.message);
+        }
+    }
+
     updateStats(resultType, stats) {
         if (resultType === 'new') {
             stats.createdCount++;
+        } else if (resultType === 'skipped') {
+            stats.skippedCount++;
         } else {
             stats.updatedCount++;
         }
     }
 
-    buildProcessingResult(results, stats, totalEntries) {
+    buildProcessingResult(results, stats, totalEntries, batchId = null) {
         return {
+            batchId,
             results,
             createdCount: stats.createdCount,
             updatedCount: stats.updatedCount,
             successCount: stats.createdCount + stats.updatedCount,
+            skippedCount: stats.skippedCount,
             errorCount: stats.errorCount,
-            totalEntries
+            cancelledCount: stats.cancelledCount,
+            cancelled: stats.cancelledCount > 0,
+            totalEntries,
+            cacheStats: this.getCacheStats()
         };
     }
 
@@ -718,11 +1654,11 @@ export class WorkLogService {
                 return aIndex - bIndex;
             });
 
-            const firstNonScrumEntry = entries.find(entry => !entry.is_scrum);
+            const firstNonScrumEntry = entries.find(entry => !entry.is_scrum && !entry.fixed_start_time);
 
             if (firstNonScrumEntry && !firstNonScrumEntry.user_set_start_time) {
                 entries.forEach(entry => {
-                    if (!entry.is_scrum) {
+                    if (!entry.is_scrum && !entry.fixed_start_time) {
                         delete entry.calculated_start_time;
                         delete entry.calculated_end_time;
                     }
@@ -737,7 +1673,7 @@ export class WorkLogService {
 
     setStartTimeForFirstEntry(startTime, targetDate = null) {
         if (targetDate) {
-            const firstNonScrumEntry = this.workLogEntries.find(entry => !entry.is_scrum && entry.entry_date === targetDate);
+            const firstNonScrumEntry = this.workLogEntries.find(entry => !entry.is_scrum && !entry.fixed_start_time && entry.entry_date === targetDate);
             if (firstNonScrumEntry) {
                 firstNonScrumEntry.calculated_start_time = startTime;
                 firstNonScrumEntry.user_set_start_time = true;
@@ -745,7 +1681,7 @@ export class WorkLogService {
                 return validationIssues;
             }
         } else {
-            const firstNonScrumEntry = this.workLogEntries.find(entry => !entry.is_scrum);
+            const firstNonScrumEntry = this.workLogEntries.find(entry => !entry.is_scrum && !entry.fixed_start_time);
             if (firstNonScrumEntry) {
                 firstNonScrumEntry.calculated_start_time = startTime;
                 firstNonScrumEntry.user_set_start_time = true;
@@ -0,0 +1,117 @@
+export class WorkPackageIndex {
+    constructor() {
+        this.projects = new Map();
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    normalizeSubject(subject) {
+        return (subject || '').trim().toLowerCase();
+    }
+
+    getProjectIndex(projectId) {
+        const key = String(projectId);
+
+        if (!this.projects.has(key)) {
+            // complete is set once every work package of the project has been indexed
+            this.projects.set(key, { complete: false, subjects: new Map() });
+        }
+
+        return this.projects.get(key);
+    }
+
+    lookup(projectId, subject) {
+        const projectIndex = this.getProjectIndex(projectId);
+        const normalizedSubject = this.normalizeSubject(subject);
+
+        if (projectIndex.subjects.has(normalizedSubject)) {
+            this.stats.hits++;
+            return { hit: true, workPackage: projectIndex.subjects.get(normalizedSubject) };
+        }
+
+        if (projectIndex.complete) {
+            this.stats.hits++;
+            return { hit: true, workPackage: null };
+        }
+
+        this.stats.misses++;
+        return { hit: false, workPackage: null };
+    }
+
+    remember(projectId, subject, workPackage) {
+        const projectIndex = this.getProjectIndex(projectId);
+        projectIndex.subjects.set(this.normalizeSubject(subject), workPackage || null);
+    }
+
+    addWorkPackages(projectId, workPackages) {
+        const projectIndex = this.getProjectIndex(projectId);
+
+        workPackages.forEach(workPackage => {
+            const normalizedSubject = this.normalizeSubject(workPackage.subject);
+
+            // Keep the first (oldest) match, like the page scan does
+            if (!projectIndex.subjects.get(normalizedSubject)) {
+                projectIndex.subjects.set(normalizedSubject, workPackage);
+            }
+        });
+    }
+
+    markComplete(projectId) {
+        this.getProjectIndex(projectId).complete = true;
+    }
+
+    isComplete(projectId) {
+        return this.getProjectIndex(projectId).complete;
+    }
+
+    addWorkPackage(projectId, workPackage) {
+        this.remember(projectId, workPackage.subject, workPackage);
+    }
+
+    invalidate(projectId = null) {
+        if (projectId === null) {
+            this.projects.clear();
+            return;
+        }
+
+        this.projects.delete(String(projectId));
+    }
+
+    // Plain data that can be posted to another extension context; only the ID and subject of a work package are kept
+    toSnapshot() {
+        const snapshot = {};
+
+        this.projects.forEach((projectIndex, projectId) => {
+            snapshot[projectId] = {
+                complete: projectIndex.complete,
+                subjects: [...projectIndex.subjects].map(([subject, workPackage]) => [subject, workPackage ? { id: workPackage.id, subject: workPackage.subject } : null])
+            };
+        });
+
+        return snapshot;
+    }
+
+    loadSnapshot(snapshot) {
+        Object.entries(snapshot || {}).forEach(([projectId, { complete, subjects }]) => {
+            const projectIndex = this.getProjectIndex(projectId);
+            subjects.forEach(([subject, workPackage]) => projectIndex.subjects.set(subject, workPackage));
+            projectIndex.complete = projectIndex.complete || !!complete;
+        });
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        let indexedSubjects = 0;
+
+        this.projects.forEach(projectIndex => {
+            indexedSubjects += projectIndex.subjects.size;
+        });
+
+        return {
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: lookups ? Math.round((this.stats.hits / lookups) * 100) : 0,
+            projects: this.projects.size,
+            indexedSubjects
+        };
+    }
+}